@@ -0,0 +1,181 @@
+import { useState, useEffect, useMemo } from 'preact/hooks';
+import { deepMerge, COUNTDOWN_DEFAULTS, COUNTDOWN_LABELS } from './defaults.js';
+
+const UNIT_MS = {
+    days: 24 * 60 * 60 * 1000,
+    hours: 60 * 60 * 1000,
+    minutes: 60 * 1000,
+    seconds: 1000
+};
+
+const UNIT_ORDER = ['days', 'hours', 'minutes', 'seconds'];
+
+/**
+ * Resolve the deadline of a countdown
+ * Live popups get an absolute endsAt from the SDK; an evergreen duration
+ * without one (editor preview) counts from when the countdown mounted.
+ *
+ * @returns {number|null} Deadline timestamp, null if not configured
+ */
+function getDeadline(countdown, mountedAt) {
+    if (countdown.endsAt !== null && countdown.endsAt !== undefined) {
+        const deadline = typeof countdown.endsAt === 'number' ? countdown.endsAt : Date.parse(countdown.endsAt);
+        return Number.isNaN(deadline) ? null : deadline;
+    }
+
+    if (countdown.duration > 0) {
+        return mountedAt + countdown.duration * UNIT_MS.minutes;
+    }
+
+    return null;
+}
+
+/**
+ * Split the remaining time into the displayed units
+ * The largest unit absorbs the ones not displayed (e.g. 50 hours without days)
+ *
+ * @returns {Array<{ unit: string, value: number }>}
+ */
+function getParts(remaining, countdown) {
+    const units = UNIT_ORDER.filter(unit => countdown.units.includes(unit));
+    let rest = Math.max(0, remaining);
+
+    const parts = units.map((unit) => {
+        const value = Math.floor(rest / UNIT_MS[unit]);
+        rest -= value * UNIT_MS[unit];
+        return { unit, value };
+    });
+
+    if (!countdown.hideEmptyUnits) return parts;
+
+    // Keep at least the smallest unit
+    const firstNonZero = parts.findIndex(part => part.value > 0);
+    return parts.slice(firstNonZero === -1 ? parts.length - 1 : firstNonZero);
+}
+
+/**
+ * Countdown - Timer block for content.countdown (bars and modals)
+ *
+ * Formats: "inline" (02h 14m 09s, default in bars) and "blocks" (one box
+ * per unit with its label, default elsewhere).
+ *
+ * onExpire(behavior) is called once when the timer reaches zero while on
+ * screen, with countdown.onExpire ('hide' | 'text' | 'close'). A countdown
+ * that has already expired renders its expired state without calling it.
+ */
+export function Countdown({ countdown: rawCountdown, layout = 'modal', color, align = 'center', onExpire, isPreview = false }) {
+    const countdown = useMemo(() => deepMerge(COUNTDOWN_DEFAULTS, rawCountdown || {}), [rawCountdown]);
+
+    const [mountedAt] = useState(() => Date.now());
+    const deadline = getDeadline(countdown, mountedAt);
+
+    // Current time, floored to the second so ticks only re-render on change
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (deadline === null || deadline <= Date.now()) return;
+
+        const intervalId = setInterval(() => {
+            const current = Date.now();
+            setNow(Math.floor(current / 1000) * 1000);
+
+            if (current >= deadline) {
+                clearInterval(intervalId);
+                setNow(current);
+                if (!isPreview) onExpire?.(countdown.onExpire);
+            }
+        }, 250);
+
+        return () => clearInterval(intervalId);
+    }, [deadline, isPreview, onExpire, countdown.onExpire]);
+
+    if (deadline === null) return null;
+
+    const { style } = countdown;
+    const format = countdown.format || (layout === 'bar' ? 'inline' : 'blocks');
+    const labels = { ...COUNTDOWN_LABELS[format === 'inline' ? 'inline' : 'blocks'], ...countdown.labels };
+    const textColor = style.color || color || 'inherit';
+    const isBar = layout === 'bar';
+
+    // Expired: swap for the expired text, or render nothing
+    if (deadline <= now) {
+        if (countdown.onExpire !== 'text' || !countdown.expiredText) return null;
+
+        return (
+            <div class={`popup-countdown expired ${layout}`} style={{
+                margin: isBar ? 0 : '0 0 24px 0',
+                fontSize: isBar ? '14px' : '16px',
+                fontWeight: '600',
+                color: textColor,
+                textAlign: align
+            }}>
+                {countdown.expiredText}
+            </div>
+        );
+    }
+
+    const parts = getParts(deadline - now, countdown);
+    const pad = (value, index) => (index === 0 ? String(value) : String(value).padStart(2, '0'));
+
+    if (format === 'inline') {
+        return (
+            <span class={`popup-countdown inline ${layout}`} role="timer" style={{
+                display: isBar ? 'inline-block' : 'block',
+                margin: isBar ? 0 : '0 0 24px 0',
+                fontSize: style.fontSize || (isBar ? '14px' : '20px'),
+                fontWeight: '700',
+                fontVariantNumeric: 'tabular-nums',
+                color: textColor,
+                textAlign: isBar ? undefined : align,
+                whiteSpace: 'nowrap'
+            }}>
+                {parts.map(({ unit, value }, i) => `${pad(value, i)}${labels[unit]}`).join(' ')}
+            </span>
+        );
+    }
+
+    const justifyContent = { left: 'flex-start', right: 'flex-end' }[align] || 'center';
+
+    return (
+        <div class={`popup-countdown blocks ${layout}`} role="timer" style={{
+            display: 'flex',
+            justifyContent,
+            gap: isBar ? '6px' : '10px',
+            margin: isBar ? 0 : '0 0 24px 0'
+        }}>
+            {parts.map(({ unit, value }, i) => (
+                <div key={unit} class="popup-countdown-unit" style={{
+                    display: 'flex',
+                    flexDirection: 'column',
+                    alignItems: 'center',
+                    minWidth: isBar ? '36px' : '60px',
+                    padding: isBar ? '2px 6px' : '10px 8px',
+                    backgroundColor: style.backgroundColor,
+                    borderRadius: style.borderRadius
+                }}>
+                    <span class="popup-countdown-value" style={{
+                        fontSize: style.fontSize || (isBar ? '16px' : '28px'),
+                        fontWeight: '700',
+                        lineHeight: 1.1,
+                        fontVariantNumeric: 'tabular-nums',
+                        color: textColor
+                    }}>
+                        {pad(value, i)}
+                    </span>
+                    <span class="popup-countdown-label" style={{
+                        marginTop: '2px',
+                        fontSize: isBar ? '9px' : '11px',
+                        textTransform: 'uppercase',
+                        letterSpacing: '0.04em',
+                        color: style.labelColor || textColor,
+                        opacity: style.labelColor ? 1 : 0.7
+                    }}>
+                        {labels[unit]}
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default Countdown;
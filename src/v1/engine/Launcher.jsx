@@ -0,0 +1,201 @@
+import { Fragment } from 'preact';
+import { useState, useMemo } from 'preact/hooks';
+import { keyframes, fontStack } from './styles.js';
+import { deepMerge, getSlideInCorner, LAUNCHER_DEFAULTS } from './defaults.js';
+
+/**
+ * Launcher - Small floating teaser that reopens a dismissed popup
+ *
+ * Configured by design.launcher (see LAUNCHER_DEFAULTS). Shapes:
+ * - pill: text button in a corner
+ * - bubble: round icon button in a corner, text used as its label
+ * - tab: text tab stuck to the left or right edge of the screen
+ *
+ * onOpen is called when the visitor clicks the launcher, onDismiss when
+ * they close it with its own close button. Both run after the exit
+ * animation.
+ */
+export function Launcher({ launcher: rawLauncher, text: fallbackText = '', onOpen, onDismiss, isPreview = false }) {
+    const launcher = useMemo(() => deepMerge(LAUNCHER_DEFAULTS, rawLauncher || {}), [rawLauncher]);
+
+    const [isExiting, setIsExiting] = useState(false);
+
+    const { style, animation } = launcher;
+    const shape = ['pill', 'bubble', 'tab'].includes(launcher.shape) ? launcher.shape : 'pill';
+    const isTab = shape === 'tab';
+    const text = launcher.text || fallbackText;
+
+    // Tabs sit on an edge, pills and bubbles in a corner
+    const side = isTab
+        ? (launcher.position === 'left' ? 'left' : 'right')
+        : getSlideInCorner(launcher.position).horizontal;
+
+    const close = (callback) => {
+        if (isExiting) return;
+        setIsExiting(true);
+        setTimeout(() => callback?.(), 200);
+    };
+
+    const getPositionStyle = () => {
+        const position = isPreview ? 'absolute' : 'fixed';
+
+        if (isTab) {
+            return {
+                position,
+                top: '50%',
+                [side]: 0,
+                transform: 'translateY(-50%)'
+            };
+        }
+
+        const { vertical, horizontal } = getSlideInCorner(launcher.position);
+        return {
+            position,
+            [vertical]: launcher.offset,
+            [horizontal]: launcher.offset
+        };
+    };
+
+    // Enter/exit moves the launcher with its close button
+    const getAnimationStyle = () => {
+        const sideName = side === 'left' ? 'Left' : 'Right';
+
+        if (isExiting) {
+            return {
+                animation: animation.enter === 'slideIn'
+                    ? `slideOut${sideName} 200ms ease-in forwards`
+                    : 'popupFadeOut 200ms ease-in forwards'
+            };
+        }
+
+        const enter = {
+            slideIn: `slideIn${sideName} 300ms ease-out`,
+            fadeIn: 'popupFadeIn 300ms ease-out'
+        }[animation.enter];
+
+        return enter ? { animation: enter } : {};
+    };
+
+    // Attention animation repeats on the button itself
+    const getAttentionStyle = () => {
+        if (isExiting) return {};
+
+        const attention = {
+            pulse: 'launcherPulse 2.5s ease-in-out 1s infinite',
+            bounce: 'launcherBounce 2.5s ease-in-out 1s infinite'
+        }[animation.attention];
+
+        return attention ? { animation: attention } : {};
+    };
+
+    const getShapeStyle = () => {
+        if (shape === 'bubble') {
+            return {
+                width: '56px',
+                height: '56px',
+                padding: 0,
+                borderRadius: '50%',
+                fontSize: '24px'
+            };
+        }
+
+        if (isTab) {
+            // Vertical text, rounded on the side facing the page
+            const radius = style.borderRadius === LAUNCHER_DEFAULTS.style.borderRadius ? '8px' : style.borderRadius;
+            return {
+                writingMode: 'vertical-rl',
+                padding: '16px 10px',
+                borderRadius: side === 'left'
+                    ? `0 ${radius} ${radius} 0`
+                    : `${radius} 0 0 ${radius}`
+            };
+        }
+
+        return {
+            padding: style.padding,
+            borderRadius: style.borderRadius
+        };
+    };
+
+    const buttonStyle = {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '8px',
+        border: 'none',
+        cursor: 'pointer',
+        margin: 0,
+        backgroundColor: style.backgroundColor,
+        color: style.textColor,
+        fontFamily: style.fontFamily ? `${style.fontFamily}, ${fontStack}` : fontStack,
+        fontSize: style.fontSize,
+        fontWeight: style.fontWeight,
+        lineHeight: 1.2,
+        boxShadow: style.boxShadow,
+        whiteSpace: 'nowrap',
+        ...getShapeStyle(),
+        ...getAttentionStyle()
+    };
+
+    // The close button sits on the outer corner, away from the screen edge
+    const closeButtonStyle = {
+        position: 'absolute',
+        top: '-8px',
+        [side === 'left' ? 'right' : 'left']: '-8px',
+        width: '22px',
+        height: '22px',
+        padding: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        border: 'none',
+        borderRadius: '50%',
+        cursor: 'pointer',
+        backgroundColor: '#ffffff',
+        color: '#555555',
+        boxShadow: '0 1px 4px rgba(0, 0, 0, 0.25)'
+    };
+
+    return (
+        <Fragment>
+            <style>{keyframes}</style>
+            <div
+                class={`toggleup-launcher ${shape}`}
+                style={{
+                    zIndex: 2147483646,
+                    ...getPositionStyle()
+                }}
+            >
+                <div style={{ position: 'relative', ...getAnimationStyle() }}>
+                    <button
+                        type="button"
+                        class="toggleup-launcher-open"
+                        aria-label={shape === 'bubble' ? text : undefined}
+                        title={shape === 'bubble' ? text : undefined}
+                        onClick={() => close(onOpen)}
+                        style={buttonStyle}
+                    >
+                        {shape === 'bubble' ? (launcher.icon || '🎁') : text}
+                    </button>
+
+                    {launcher.showCloseButton && (
+                        <button
+                            type="button"
+                            class="toggleup-launcher-close"
+                            aria-label="Close"
+                            onClick={() => close(onDismiss)}
+                            style={closeButtonStyle}
+                        >
+                            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round">
+                                <line x1="18" y1="6" x2="6" y2="18" />
+                                <line x1="6" y1="6" x2="18" y2="18" />
+                            </svg>
+                        </button>
+                    )}
+                </div>
+            </div>
+        </Fragment>
+    );
+}
+
+export default Launcher;
@@ -1,12 +1,23 @@
 import { Fragment } from 'preact';
-import { useState, useCallback, useMemo } from 'preact/hooks';
+import { useState, useCallback, useMemo, useEffect } from 'preact/hooks';
 import {
     keyframes,
     responsiveStyles,
     getOverlayStyles,
     getOverlayAnimationStyle
 } from './styles.js';
-import { mergeWithDefaults, DEFAULT_BUTTON_STYLE } from './defaults.js';
+import { mergeWithDefaults, getSlideInCorner, DEFAULT_BUTTON_STYLE } from './defaults.js';
+import { Countdown } from './Countdown.jsx';
+import {
+    DEFAULT_FORM_MESSAGES,
+    getHtmlInputType,
+    getFormFields,
+    getInitialValues,
+    normalizeOptions,
+    serializeValues,
+    validateField,
+    validateFields
+} from './form.js';
 
 /**
  * PopupRenderer - The shared Preact component for rendering popups.
@@ -15,22 +26,50 @@ import { mergeWithDefaults, DEFAULT_BUTTON_STYLE } from './defaults.js';
  * All values have sensible defaults defined in defaults.js.
  * Supports branding object to inherit styles from client's website.
  * 
+ * onSubmit receives { popupId, endpoint, fields } and must return a Promise.
+ * When omitted (editor preview), submissions resolve immediately.
+ * 
+ * Multi-step popups define design.steps[]; each step may override
+ * content and buttons and is reached via the next/goto_step actions.
+ * 
+ * onClose receives the close reason: 'close_button' | 'overlay' |
+ * 'button' | 'escape' | 'auto' | 'expired' (content.countdown ran out,
+ * onExpire "close") | 'hidden' (it ran out, onExpire "hide").
+ * onEvent(name, detail) reports
+ * 'button:click' and 'form:submit' interactions.
+ * 
  * @version 1.0.0
  */
-export function PopupRenderer({ config: rawConfig, branding = null, onClose, isPreview = false }) {
+export function PopupRenderer({ config: rawConfig, branding = null, onClose, onSubmit, onEvent, isPreview = false }) {
     // Merge config with defaults and branding
     const config = useMemo(() => mergeWithDefaults(rawConfig, branding), [rawConfig, branding]);
 
     const [isExiting, setIsExiting] = useState(false);
 
+    // Form status: 'idle' | 'loading' | 'error' | 'success'
+    const [formStatus, setFormStatus] = useState('idle');
+    const [formErrors, setFormErrors] = useState({});
+
+    // Current step index (multi-step popups)
+    const [stepIndex, setStepIndex] = useState(0);
+
     // Support both new format and legacy design format
     const design = config.design || config;
     const isModal = design.type === 'modal';
     const isTopBar = design.type === 'bar';
+    const isSlideIn = design.type === 'slide_in';
+    const isInline = design.type === 'inline';
+    const isFullscreen = design.type === 'fullscreen';
+    const isWelcomeMat = isFullscreen && design.welcomeMat === true;
+
+    // Steps: [{ id, content, buttons, autoClose }]
+    // A step without content/buttons inherits them from the design
+    const steps = Array.isArray(design.steps) ? design.steps : [];
+    const currentStep = steps[stepIndex] || null;
 
     // Extract content (support both formats)
     // headline/body can be string or { text, style }
-    const rawContent = design.content || {
+    const rawContent = currentStep?.content || design.content || {
         headline: design.headline,
         body: design.body,
         image: design.image
@@ -49,9 +88,37 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
         body: normalizeTextItem(rawContent.body),
         image: rawContent.image,
         features: rawContent.features || [],
-        input: rawContent.input
+        input: rawContent.input,
+        fields: rawContent.fields,
+        countdown: rawContent.countdown
     };
 
+    // Form fields: content.fields[] or the legacy single content.input
+    const formFields = getFormFields(content);
+    const [formValues, setFormValues] = useState(() => getInitialValues(formFields));
+
+    // Fields of every step (by name), so the submission also carries what
+    // the visitor entered on earlier steps
+    const allFormFields = useMemo(() => {
+        const byName = new Map();
+        [design.content, ...steps.map((step) => step.content)]
+            .filter(Boolean)
+            .forEach((stepContent) => getFormFields(stepContent).forEach((field) => {
+                if (!byName.has(field.name)) byName.set(field.name, field);
+            }));
+        return [...byName.values()];
+    }, [design.content, steps]);
+
+    // Entering a step: add initial values (value/defaultValue, hidden fields)
+    // for its fields, keeping what the visitor already entered
+    useEffect(() => {
+        setFormValues((prev) => ({ ...getInitialValues(formFields), ...prev }));
+    }, [stepIndex]);
+
+    // Form submission settings: { endpoint, messages }
+    const form = design.form || {};
+    const formMessages = { ...DEFAULT_FORM_MESSAGES, ...form.messages };
+
     // Extract style (support both formats)
     const style = design.style || {
         backgroundColor: design.colors?.background,
@@ -63,7 +130,7 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
     };
 
     // Extract buttons (support both formats)
-    const buttons = design.buttons || (design.btnText ? [{
+    const buttons = currentStep?.buttons || design.buttons || (design.btnText ? [{
         text: design.btnText,
         action: design.btnLink ? 'link' : 'close',
         url: design.btnLink,
@@ -76,25 +143,170 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
 
     /**
      * Handle close with exit animation
+     * @param {string} reason - Why the popup closed (passed to onClose)
      */
-    const handleClose = useCallback(() => {
-        if (!design.closable && design.closable !== undefined) return;
+    const handleClose = useCallback((reason = 'button') => {
+        // An expired countdown removes the popup even if it is not closable
+        const isExpiry = reason === 'expired' || reason === 'hidden';
+        if (!design.closable && design.closable !== undefined && !isExpiry) return;
 
         if (isPreview) {
-            onClose?.();
+            onClose?.(reason);
             return;
         }
 
         setIsExiting(true);
         setTimeout(() => {
-            onClose?.();
+            onClose?.(reason);
         }, 200);
     }, [isPreview, onClose, design.closable]);
 
+    /**
+     * Close modal/fullscreen on Escape key
+     */
+    useEffect(() => {
+        if ((!isModal && !isFullscreen) || isPreview || design.closeOnEscape === false) return;
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') handleClose('escape');
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isModal, isFullscreen, isPreview, design.closeOnEscape, handleClose]);
+
+    /**
+     * Countdown reached zero: "close" closes the popup, "hide" removes it
+     * as if it had been suppressed
+     */
+    const handleCountdownExpire = useCallback((behavior) => {
+        if (behavior === 'close') {
+            handleClose('expired');
+        } else if (behavior === 'hide') {
+            handleClose('hidden');
+        }
+    }, [handleClose]);
+
+    /**
+     * Resolve a step id or index
+     * @returns {number} Step index, -1 if unknown
+     */
+    const getStepIndex = useCallback((target) => {
+        return typeof target === 'number'
+            ? target
+            : steps.findIndex((step) => step.id === target);
+    }, [steps]);
+
+    /**
+     * Navigate to a step by id or index
+     * @returns {boolean} True if the step exists
+     */
+    const goToStep = useCallback((target) => {
+        const index = getStepIndex(target);
+
+        if (index < 0 || index >= steps.length) {
+            console.warn(`[Toggleup] Unknown popup step: ${target}`);
+            return false;
+        }
+
+        setFormErrors({});
+        setStepIndex(index);
+        return true;
+    }, [steps, getStepIndex]);
+
+    /**
+     * Validate the current step's fields before moving forward
+     * @returns {boolean} True if they are valid
+     */
+    const validateStep = useCallback(() => {
+        const errors = validateFields(formValues, formFields, form.messages);
+        setFormErrors(errors);
+        return Object.keys(errors).length === 0;
+    }, [formValues, formFields, form.messages]);
+
+    /**
+     * Auto-close timer for the current step (e.g. "thank you" step)
+     */
+    useEffect(() => {
+        if (!currentStep?.autoClose || isPreview) return;
+
+        const timeoutId = setTimeout(() => handleClose('auto'), currentStep.autoClose * 1000);
+        return () => clearTimeout(timeoutId);
+    }, [currentStep, isPreview, handleClose]);
+
+    /**
+     * Update a field value and clear its inline error
+     */
+    const setFieldValue = (field, value) => {
+        setFormValues((prev) => ({ ...prev, [field.name]: value }));
+        if (formErrors[field.name]) {
+            setFormErrors((prev) => ({ ...prev, [field.name]: validateField(value, field, form.messages) }));
+        }
+    };
+
+    /**
+     * Validate the current step and submit the fields of every step the
+     * visitor went through as one payload
+     */
+    const handleSubmit = useCallback(async () => {
+        if (formStatus === 'loading' || formStatus === 'success') return;
+        if (formFields.length === 0) return;
+
+        const errors = validateFields(formValues, formFields, form.messages);
+        setFormErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+
+        setFormStatus('loading');
+
+        const fields = serializeValues(formValues, allFormFields.filter((field) => field.name in formValues));
+
+        try {
+            await onSubmit?.({
+                popupId: rawConfig.id,
+                endpoint: form.endpoint,
+                fields
+            });
+            onEvent?.('form:submit', { fields });
+
+            // Swap to the configured success step, or show the success message
+            if (form.successStep !== undefined && goToStep(form.successStep)) {
+                setFormStatus('idle');
+            } else {
+                setFormStatus('success');
+            }
+        } catch (e) {
+            setFormStatus('error');
+        }
+    }, [formStatus, formFields, allFormFields, formValues, form.endpoint, form.messages, form.successStep, onSubmit, onEvent, rawConfig.id, goToStep]);
+
     /**
      * Handle button click
      */
-    const handleButtonClick = useCallback((button) => {
+    const handleButtonClick = useCallback((button, index) => {
+        onEvent?.('button:click', { index, text: button.text, action: button.action || 'close', url: button.url });
+
+        if (button.action === 'submit') {
+            handleSubmit();
+            return;
+        }
+
+        // Moving forward requires the current step's fields to be valid
+        if (button.action === 'next') {
+            if (!validateStep()) return;
+            if (stepIndex + 1 < steps.length) {
+                goToStep(stepIndex + 1);
+            } else {
+                handleClose();
+            }
+            return;
+        }
+
+        if (button.action === 'goto_step') {
+            if (getStepIndex(button.step) > stepIndex && !validateStep()) return;
+            goToStep(button.step);
+            return;
+        }
+
         if (button.action === 'link' && button.url) {
             if (button.target === '_blank') {
                 window.open(button.url, '_blank', 'noopener,noreferrer');
@@ -106,14 +318,14 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
         if (button.action === 'close' || !button.action) {
             handleClose();
         }
-    }, [handleClose]);
+    }, [handleClose, handleSubmit, goToStep, getStepIndex, validateStep, stepIndex, steps.length, onEvent]);
 
     /**
      * Handle overlay click
      */
     const handleOverlayClick = useCallback((e) => {
         if (e.target === e.currentTarget && design.closeOnOverlayClick !== false) {
-            handleClose();
+            handleClose('overlay');
         }
     }, [handleClose, design.closeOnOverlayClick]);
 
@@ -124,7 +336,19 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
         const anim = design.animation || {};
         const animName = isExit ? anim.exit : anim.enter;
 
+        // Welcome mats grow from the top, pushing the page down
+        if (isWelcomeMat && animName !== 'none') {
+            return {
+                animation: isExit ? 'welcomeMatOut 300ms ease-in forwards' : 'welcomeMatIn 500ms ease-out forwards'
+            };
+        }
+
+        // Slide-ins enter from the side of their corner
+        const side = isSlideIn && getSlideInCorner(design.position).horizontal === 'left' ? 'Left' : 'Right';
+
         const animations = {
+            slideIn: isExit ? `slideOut${side}` : `slideIn${side}`,
+            slideOut: `slideOut${side}`,
             slideDown: isExit ? 'slideOutUp' : 'slideDown',
             slideUp: isExit ? 'slideOutDown' : 'slideUp',
             scaleIn: isExit ? 'popupScaleOut' : 'popupScaleIn',
@@ -142,6 +366,14 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
         };
     };
 
+    /**
+     * Fade in content when switching steps (same container stays mounted)
+     */
+    const getStepAnimationStyle = () => {
+        if (stepIndex === 0 || isPreview) return {};
+        return { animation: 'popupFadeIn 250ms ease-out forwards' };
+    };
+
     /**
      * Render close button
      */
@@ -150,13 +382,14 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
 
         return (
             <button
-                onClick={handleClose}
+                onClick={() => handleClose('close_button')}
                 aria-label="Close"
                 class="popup-close-btn"
                 style={{
-                    position: 'absolute',
-                    top: isTopBar ? '50%' : '12px',
-                    right: '12px',
+                    // Takeover: stays reachable while its content scrolls
+                    position: isFullscreen && !isWelcomeMat && !isPreview ? 'fixed' : 'absolute',
+                    top: isTopBar ? '50%' : (isFullscreen ? 'max(12px, env(safe-area-inset-top))' : '12px'),
+                    right: isFullscreen ? 'max(12px, env(safe-area-inset-right))' : '12px',
                     transform: isTopBar ? 'translateY(-50%)' : 'none',
                     background: 'transparent',
                     border: 'none',
@@ -193,7 +426,7 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
         return (
             <button
                 key={index}
-                onClick={() => handleButtonClick(button)}
+                onClick={() => handleButtonClick(button, index)}
                 class="popup-btn"
                 style={{
                     display: 'inline-flex',
@@ -237,6 +470,158 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
         );
     };
 
+    /**
+     * Render a single form field with label and inline error
+     */
+    const renderField = (field) => {
+        if (field.type === 'hidden') return null;
+
+        const value = formValues[field.name] ?? getInitialValues([field])[field.name];
+        const error = formErrors[field.name];
+        const isDisabled = formStatus === 'loading';
+        const fieldId = `popup-field-${field.name}`;
+
+        const controlStyle = {
+            width: '100%',
+            padding: field.style?.padding || '14px 16px',
+            fontSize: '15px',
+            fontFamily: 'inherit',
+            border: `1px solid ${error ? '#dc2626' : '#ddd'}`,
+            borderRadius: field.style?.borderRadius || '8px',
+            boxSizing: 'border-box',
+            backgroundColor: '#ffffff',
+            color: '#1a1a1a',
+            ...field.style
+        };
+
+        const labelStyle = {
+            display: 'block',
+            marginBottom: '6px',
+            fontSize: '14px',
+            fontWeight: '500'
+        };
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Enter' && field.type !== 'textarea') {
+                e.preventDefault();
+                handleSubmit();
+            }
+        };
+
+        let control;
+
+        if (field.type === 'checkbox' || field.type === 'radio') {
+            const choices = field.type === 'checkbox'
+                ? [{ label: field.label, value: true }]
+                : normalizeOptions(field.options);
+
+            control = (
+                <div role={field.type === 'radio' ? 'radiogroup' : undefined} aria-label={field.type === 'radio' ? field.label : undefined}>
+                    {field.type === 'radio' && field.label && <span style={labelStyle}>{field.label}</span>}
+                    {choices.map((choice, i) => (
+                        <label key={i} style={{ display: 'flex', alignItems: 'flex-start', gap: '8px', fontSize: '14px', cursor: 'pointer', marginBottom: '4px' }}>
+                            <input
+                                type={field.type}
+                                name={field.name}
+                                checked={field.type === 'checkbox' ? value === true : value === choice.value}
+                                disabled={isDisabled}
+                                onChange={(e) => setFieldValue(field, field.type === 'checkbox' ? e.currentTarget.checked : choice.value)}
+                                style={{ margin: '3px 0 0 0', flexShrink: 0 }}
+                            />
+                            <span>{choice.label}</span>
+                        </label>
+                    ))}
+                </div>
+            );
+        } else if (field.type === 'select') {
+            control = (
+                <select
+                    id={fieldId}
+                    name={field.name}
+                    value={value}
+                    disabled={isDisabled}
+                    aria-invalid={error ? 'true' : undefined}
+                    onChange={(e) => setFieldValue(field, e.currentTarget.value)}
+                    style={controlStyle}
+                >
+                    <option value="" disabled>{field.placeholder || 'Select an option'}</option>
+                    {normalizeOptions(field.options).map((option, i) => (
+                        <option key={i} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            );
+        } else if (field.type === 'textarea') {
+            control = (
+                <textarea
+                    id={fieldId}
+                    name={field.name}
+                    value={value}
+                    rows={field.rows || 3}
+                    placeholder={field.placeholder || ''}
+                    disabled={isDisabled}
+                    aria-invalid={error ? 'true' : undefined}
+                    onInput={(e) => setFieldValue(field, e.currentTarget.value)}
+                    style={{ ...controlStyle, resize: 'vertical' }}
+                />
+            );
+        } else {
+            control = (
+                <input
+                    id={fieldId}
+                    type={getHtmlInputType(field.type)}
+                    name={field.name}
+                    value={value}
+                    placeholder={field.placeholder || (field.type === 'email' ? 'Enter your email' : '')}
+                    disabled={isDisabled}
+                    aria-invalid={error ? 'true' : undefined}
+                    onInput={(e) => setFieldValue(field, e.currentTarget.value)}
+                    onKeyDown={handleKeyDown}
+                    style={controlStyle}
+                />
+            );
+        }
+
+        const hasOwnLabel = field.type === 'checkbox' || field.type === 'radio';
+
+        return (
+            <div key={field.name} class={`popup-field ${field.type}`} style={{ marginBottom: '16px' }}>
+                {field.label && !hasOwnLabel && (
+                    <label for={fieldId} style={labelStyle}>
+                        {field.label}{field.required && ' *'}
+                    </label>
+                )}
+                {control}
+                {error && (
+                    <div class="popup-form-error" role="alert" style={{
+                        marginTop: '6px',
+                        fontSize: '13px',
+                        color: form.style?.errorColor || '#dc2626'
+                    }}>
+                        {error}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    /**
+     * Render the countdown block (content.countdown)
+     */
+    const renderCountdown = (align) => {
+        if (!content.countdown) return null;
+
+        return (
+            <Countdown
+                countdown={content.countdown}
+                layout={isTopBar ? 'bar' : 'modal'}
+                color={style.textColor}
+                align={align}
+                onExpire={handleCountdownExpire}
+                isPreview={isPreview}
+            />
+        );
+    };
+
     /**
      * Render Top Bar
      */
@@ -281,7 +666,7 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
 
         return (
             <div class="popup-container bar" style={containerStyle} role="banner">
-                <div class="popup-content bar" style={contentStyle}>
+                <div key={stepIndex} class="popup-content bar" style={{ ...contentStyle, ...getStepAnimationStyle() }}>
                     {/* Image left */}
                     {imagePosition === 'left' && renderImage()}
 
@@ -307,6 +692,7 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
                                 {content.body.text}
                             </span>
                         )}
+                        {renderCountdown()}
                     </div>
 
                     {/* Image right */}
@@ -335,8 +721,102 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
         );
     };
 
+    /**
+     * Slide-in position: fixed to a corner, offset from the viewport edges
+     * offset: '20px' | 20 | { x, y }
+     */
+    const getSlideInPositionStyle = () => {
+        const { vertical, horizontal } = getSlideInCorner(design.position);
+        const toCss = (value) => (typeof value === 'number' ? `${value}px` : value);
+
+        const offset = design.offset ?? '20px';
+        const offsetX = toCss(typeof offset === 'object' ? offset.x ?? '20px' : offset);
+        const offsetY = toCss(typeof offset === 'object' ? offset.y ?? '20px' : offset);
+
+        return {
+            position: 'fixed',
+            // Reset the modal's centering
+            top: undefined,
+            left: undefined,
+            transform: undefined,
+            [vertical]: offsetY,
+            [horizontal]: offsetX,
+            maxWidth: design.maxWidth || `calc(100vw - (${offsetX}) * 2)`,
+            maxHeight: design.maxHeight || `calc(100vh - (${offsetY}) * 2)`
+        };
+    };
+
+    /**
+     * Inline position: flows in the page content where the SDK placed it
+     */
+    const getInlinePositionStyle = () => ({
+        position: 'relative',
+        // Reset the modal's centering
+        top: undefined,
+        left: undefined,
+        transform: undefined,
+        margin: design.margin || '24px auto',
+        maxHeight: design.maxHeight || 'none',
+        // Never float above the host page's own layers
+        zIndex: 'auto'
+    });
+
+    /**
+     * Fullscreen layout: covers the viewport (takeover) or sits one viewport
+     * tall at the top of the page (welcome mat), content centered in a column.
+     * Background layers: overlay over image, then gradient, then color.
+     */
+    const getFullscreenStyle = () => {
+        const layers = [];
+        if (style.backgroundImage) {
+            if (style.backgroundOverlay) {
+                layers.push(`linear-gradient(${style.backgroundOverlay}, ${style.backgroundOverlay})`);
+            }
+            layers.push(`url("${style.backgroundImage}")`);
+        }
+        if (style.backgroundGradient) {
+            layers.push(style.backgroundGradient);
+        }
+
+        const layout = {
+            // Reset the modal's centering and card look
+            top: undefined,
+            left: undefined,
+            transform: undefined,
+            width: '100%',
+            maxWidth: 'none',
+            maxHeight: 'none',
+            borderRadius: 0,
+            boxShadow: 'none',
+            display: 'flex',
+            flexDirection: 'column',
+            overflowY: 'auto',
+            overscrollBehavior: 'contain',
+            WebkitOverflowScrolling: 'touch',
+            // Keep content clear of notches and home indicators
+            padding: 'max(24px, env(safe-area-inset-top)) max(16px, env(safe-area-inset-right)) max(24px, env(safe-area-inset-bottom)) max(16px, env(safe-area-inset-left))',
+            backgroundImage: layers.length > 0 ? layers.join(', ') : undefined,
+            backgroundSize: 'cover',
+            backgroundPosition: 'center',
+            backgroundRepeat: 'no-repeat'
+        };
+
+        if (isPreview) {
+            return { ...layout, position: 'relative', minHeight: '100%' };
+        }
+
+        if (isWelcomeMat) {
+            // In the page flow; height comes from the welcome-mat class
+            return { ...layout, position: 'relative', zIndex: 'auto' };
+        }
+
+        return { ...layout, position: 'fixed', inset: 0, height: '100%' };
+    };
+
     /**
      * Render Modal - Full customizable modal popup
+     * Slide-ins share this layout as a non-blocking card in a corner,
+     * inline popups as a card in the page content
      */
     const renderModal = () => {
         const systemFonts = `-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
@@ -377,9 +857,33 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
             boxShadow: style.boxShadow || '0 25px 50px rgba(0, 0, 0, 0.25)',
             border: style.border || 'none',
             zIndex: 2147483647,
+            ...(isSlideIn && !isPreview ? getSlideInPositionStyle() : {}),
+            ...(isInline && !isPreview ? getInlinePositionStyle() : {}),
+            ...(isFullscreen ? getFullscreenStyle() : {}),
             ...(isPreview ? { margin: '0 auto' } : getAnimationStyle(isExiting))
         };
 
+        // Type classes drive the responsive layouts in styles.js
+        const getContainerClass = () => {
+            if (isSlideIn) {
+                return [
+                    'popup-container slide_in',
+                    getSlideInCorner(design.position).vertical,
+                    design.animation?.enter === 'slideIn' ? 'slide' : '',
+                    isExiting ? 'exiting' : ''
+                ].filter(Boolean).join(' ');
+            }
+            if (isFullscreen) {
+                return `popup-container fullscreen${isWelcomeMat && !isPreview ? ' welcome-mat' : ''}`;
+            }
+            return `popup-container ${isInline ? 'inline' : 'modal'}`;
+        };
+
+        // Modal and fullscreen takeover block the page
+        const containerRole = isInline
+            ? { role: 'region', 'aria-label': content.headline.text || undefined }
+            : { role: 'dialog', 'aria-modal': isSlideIn || isWelcomeMat ? 'false' : 'true' };
+
         // Image position determines layout
         const imagePosition = content.image?.position || 'top';
         const isHorizontalImage = imagePosition === 'left' || imagePosition === 'right';
@@ -487,6 +991,9 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
                         </p>
                     )}
 
+                    {/* Countdown */}
+                    {renderCountdown(textAlign)}
+
                     {/* Features list */}
                     {content.features && content.features.length > 0 && (
                         <ul style={{
@@ -511,28 +1018,38 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
                         </ul>
                     )}
 
-                    {/* Input field (email capture, etc.) */}
-                    {content.input?.enabled && (
-                        <div style={{ marginBottom: '16px' }}>
-                            <input
-                                type={content.input.type || 'email'}
-                                placeholder={content.input.placeholder || 'Enter your email'}
-                                required={content.input.required}
-                                style={{
-                                    width: '100%',
-                                    padding: content.input.style?.padding || '14px 16px',
-                                    fontSize: '15px',
-                                    border: '1px solid #ddd',
-                                    borderRadius: content.input.style?.borderRadius || '8px',
-                                    boxSizing: 'border-box',
-                                    ...content.input.style
-                                }}
-                            />
+                    {/* Success message replaces the form after submit */}
+                    {formStatus === 'success' && (
+                        <p class="popup-form-success" role="status" style={{
+                            margin: '0 0 8px 0',
+                            fontSize: '16px',
+                            fontWeight: '600',
+                            color: form.style?.successColor || '#16a34a'
+                        }}>
+                            {formMessages.success}
+                        </p>
+                    )}
+
+                    {/* Form fields (email capture, lead forms, etc.) */}
+                    {formFields.length > 0 && formStatus !== 'success' && (
+                        <div class="popup-form" style={{ textAlign: 'left' }}>
+                            {formFields.map(renderField)}
+                        </div>
+                    )}
+
+                    {/* Submission error */}
+                    {formStatus === 'error' && (
+                        <div class="popup-form-error" role="alert" style={{
+                            marginBottom: '12px',
+                            fontSize: '13px',
+                            color: form.style?.errorColor || '#dc2626'
+                        }}>
+                            {formMessages.error}
                         </div>
                     )}
 
                     {/* Buttons */}
-                    {buttons.length > 0 && (
+                    {buttons.length > 0 && formStatus !== 'success' && (
                         <div style={{
                             display: 'flex',
                             gap: '12px',
@@ -543,11 +1060,13 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
                             {buttons.slice(0, 3).map((btn, i) => {
                                 const btnStyle = { ...DEFAULT_BUTTON_STYLE, ...btn.style };
                                 const isPrimary = btn.primary !== false && i === 0;
+                                const isLoading = btn.action === 'submit' && formStatus === 'loading';
 
                                 return (
                                     <button
                                         key={i}
-                                        onClick={() => handleButtonClick(btn)}
+                                        onClick={() => handleButtonClick(btn, i)}
+                                        disabled={isLoading}
                                         class={`popup-btn ${isPrimary ? 'primary' : 'secondary'}`}
                                         style={{
                                             display: 'inline-flex',
@@ -561,13 +1080,14 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
                                             border: btnStyle.border || 'none',
                                             borderRadius: btnStyle.borderRadius || '8px',
                                             boxShadow: btnStyle.boxShadow || 'none',
-                                            cursor: 'pointer',
+                                            cursor: isLoading ? 'wait' : 'pointer',
+                                            opacity: isLoading ? 0.7 : undefined,
                                             width: btnStyle.width || (buttons.length === 1 ? '100%' : 'auto'),
                                             whiteSpace: 'nowrap',
                                             transition: 'all 150ms ease'
                                         }}
                                     >
-                                        {btn.text}
+                                        {isLoading ? formMessages.loading : btn.text}
                                     </button>
                                 );
                             })}
@@ -643,11 +1163,18 @@ export function PopupRenderer({ config: rawConfig, branding = null, onClose, isP
         };
 
         return (
-            <div class="popup-container modal" style={{ ...containerStyle, ...backgroundStyle }} role="dialog" aria-modal="true">
+            <div class={getContainerClass()} style={{ ...containerStyle, ...backgroundStyle }} {...containerRole}>
                 {renderWatermarkOverlay()}
                 {renderCloseButton()}
 
-                <div style={{ ...contentLayoutStyle, position: 'relative', zIndex: 1 }}>
+                <div key={stepIndex} style={{
+                    ...contentLayoutStyle,
+                    position: 'relative',
+                    zIndex: 1,
+                    // Fullscreen: centered column (margin auto keeps tall content scrollable)
+                    ...(isFullscreen ? { width: '100%', maxWidth: design.contentMaxWidth || '560px', margin: 'auto' } : {}),
+                    ...getStepAnimationStyle()
+                }}>
                     {imagePosition !== 'background' && renderHeroImage()}
                     {renderTextContent()}
                 </div>
@@ -103,6 +103,199 @@ export const MODAL_DEFAULTS = {
     }
 };
 
+/**
+ * Default configuration for Slide-in (corner toast) popup
+ * Non-blocking: no overlay, the page stays usable
+ */
+export const SLIDE_IN_DEFAULTS = {
+    type: 'slide_in',
+
+    position: 'bottom-right',  // 'bottom-right' | 'bottom-left' | 'top-right' | 'top-left'
+    offset: '20px',            // distance from the corner, or { x, y }
+    showCloseButton: true,
+    closable: true,
+
+    width: '360px',
+
+    content: {
+        headline: '',
+        body: '',
+        image: null
+    },
+
+    buttons: [],
+
+    style: {
+        backgroundColor: '#ffffff',
+        textColor: '#1a1a1a',
+        closeIconColor: '#999999',
+        borderRadius: '12px',
+        boxShadow: '0 8px 30px rgba(0, 0, 0, 0.18)',
+        padding: '20px',
+        fontFamily: null
+    },
+
+    // Slides in from the corner's side (from the bottom/top edge on mobile)
+    animation: {
+        enter: 'slideIn',      // 'slideIn' | 'fadeIn' | 'none'
+        exit: 'slideOut'       // 'slideOut' | 'fadeOut' | 'none'
+    }
+};
+
+/**
+ * Default configuration for Inline popup
+ * Rendered inside the page content (rules.placement), like a content card
+ */
+export const INLINE_DEFAULTS = {
+    type: 'inline',
+
+    showCloseButton: false,
+    closable: true,
+
+    width: '100%',
+    maxWidth: '640px',
+    margin: '24px auto',
+
+    content: {
+        headline: '',
+        body: '',
+        image: null
+    },
+
+    buttons: [],
+
+    style: {
+        backgroundColor: '#ffffff',
+        textColor: '#1a1a1a',
+        closeIconColor: '#999999',
+        borderRadius: '12px',
+        boxShadow: 'none',
+        border: '1px solid rgba(0, 0, 0, 0.08)',
+        padding: '24px',
+        fontFamily: null
+    },
+
+    animation: {
+        enter: 'fadeIn',
+        exit: 'fadeOut'
+    }
+};
+
+/**
+ * Default configuration for Fullscreen (takeover) popup
+ * welcomeMat: true renders it at the top of the page instead, pushing
+ * the page down; the visitor can scroll past it
+ */
+export const FULLSCREEN_DEFAULTS = {
+    type: 'fullscreen',
+
+    welcomeMat: false,
+    lockScroll: true,          // takeover only
+    showCloseButton: true,
+    closable: true,
+
+    width: '100%',
+    contentMaxWidth: '560px',  // centered content column
+
+    content: {
+        headline: '',
+        body: '',
+        image: null
+    },
+
+    buttons: [],
+
+    style: {
+        backgroundColor: '#ffffff',
+        backgroundImage: null,     // URL, covers the viewport
+        backgroundGradient: null,  // e.g. 'linear-gradient(135deg, #667eea, #764ba2)'
+        backgroundOverlay: 'rgba(0, 0, 0, 0.45)', // over backgroundImage, for legibility
+        textColor: '#1a1a1a',
+        closeIconColor: '#666666',
+        borderRadius: '0px',
+        boxShadow: 'none',
+        padding: '24px',
+        fontFamily: null
+    },
+
+    // Welcome mats always slide the page down (unless 'none')
+    animation: {
+        enter: 'fadeIn',
+        exit: 'fadeOut'
+    }
+};
+
+/**
+ * Default configuration for the launcher (teaser): a small floating tab
+ * that reopens a popup after the visitor closed it (design.launcher)
+ */
+export const LAUNCHER_DEFAULTS = {
+    text: '',                  // defaults to the popup headline
+    icon: null,                // bubble shape: emoji or short text
+    shape: 'pill',             // 'pill' | 'bubble' | 'tab'
+    position: 'bottom-left',   // corner for pill/bubble, 'left' | 'right' edge for tab
+    offset: '20px',
+    showCloseButton: true,
+
+    style: {
+        backgroundColor: '#2196F3',
+        textColor: '#ffffff',
+        fontSize: '14px',
+        fontWeight: '600',
+        borderRadius: '999px',
+        boxShadow: '0 4px 14px rgba(0, 0, 0, 0.2)',
+        padding: '12px 20px',
+        fontFamily: null
+    },
+
+    animation: {
+        enter: 'slideIn',      // 'slideIn' | 'fadeIn' | 'none'
+        attention: 'pulse'     // 'pulse' | 'bounce' | 'none' (repeats while visible)
+    }
+};
+
+/**
+ * Default configuration for the countdown block (content.countdown)
+ * The SDK turns evergreen durations into an absolute endsAt before rendering
+ */
+export const COUNTDOWN_DEFAULTS = {
+    endsAt: null,              // fixed deadline: ISO datetime or timestamp
+    duration: null,            // evergreen: minutes from the visitor's first view
+    units: ['days', 'hours', 'minutes', 'seconds'],
+    hideEmptyUnits: true,      // drop leading units at zero (e.g. "0 days")
+    format: null,              // 'blocks' | 'inline' (default: inline in bars, blocks otherwise)
+    labels: {},                // per unit, e.g. { days: 'días' }; defaults depend on format
+    onExpire: 'hide',          // 'hide' | 'text' | 'close'
+    expiredText: 'This offer has ended',
+
+    style: {
+        color: null,           // defaults to the popup text color
+        labelColor: null,
+        fontSize: null,        // numbers; 28px in blocks, inherited inline
+        backgroundColor: 'rgba(0, 0, 0, 0.06)',   // blocks only
+        borderRadius: '8px'
+    }
+};
+
+export const COUNTDOWN_LABELS = {
+    blocks: { days: 'Days', hours: 'Hours', minutes: 'Minutes', seconds: 'Seconds' },
+    inline: { days: 'd', hours: 'h', minutes: 'm', seconds: 's' }
+};
+
+/**
+ * Split a slide-in position into its edges
+ * Unknown values fall back to the default corner
+ * @param {string} position - e.g. 'top-left'
+ * @returns {{ vertical: 'top' | 'bottom', horizontal: 'left' | 'right' }}
+ */
+export function getSlideInCorner(position) {
+    const [vertical, horizontal] = String(position || SLIDE_IN_DEFAULTS.position).split('-');
+    return {
+        vertical: vertical === 'top' ? 'top' : 'bottom',
+        horizontal: horizontal === 'left' ? 'left' : 'right'
+    };
+}
+
 /**
  * Deep merge two objects
  */
@@ -131,6 +324,12 @@ export function getDefaults(type) {
             return TOP_BAR_DEFAULTS;
         case 'modal':
             return MODAL_DEFAULTS;
+        case 'slide_in':
+            return SLIDE_IN_DEFAULTS;
+        case 'inline':
+            return INLINE_DEFAULTS;
+        case 'fullscreen':
+            return FULLSCREEN_DEFAULTS;
         default:
             return MODAL_DEFAULTS;
     }
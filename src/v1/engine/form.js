@@ -0,0 +1,176 @@
+/**
+ * Form utilities for the PopupRenderer.
+ *
+ * Validation runs client-side before anything is sent to the API,
+ * so the visitor gets instant feedback inside the popup.
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Validation patterns per input type
+ */
+export const INPUT_PATTERNS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    phone: /^\+?[0-9\s().-]{7,20}$/
+};
+
+/**
+ * Default messages shown by the form states
+ */
+export const DEFAULT_FORM_MESSAGES = {
+    required: 'This field is required',
+    email: 'Please enter a valid email address',
+    phone: 'Please enter a valid phone number',
+    pattern: 'Please match the requested format',
+    checkbox: 'Please check this box to continue',
+    error: 'Something went wrong. Please try again.',
+    success: 'Thank you! You have been subscribed.',
+    loading: 'Sending...'
+};
+
+/**
+ * Map config input types to HTML input types
+ */
+export function getHtmlInputType(type) {
+    if (type === 'phone') return 'tel';
+    return type || 'email';
+}
+
+/**
+ * Get the payload key for an input
+ * @param {Object} input - content.input configuration
+ */
+export function getInputName(input) {
+    return input?.name || input?.type || 'email';
+}
+
+/**
+ * Normalize select/radio options to { label, value }
+ * Accepts plain strings or objects
+ */
+export function normalizeOptions(options = []) {
+    return options.map((option) => (
+        typeof option === 'object'
+            ? { label: option.label ?? option.value, value: option.value ?? option.label }
+            : { label: String(option), value: String(option) }
+    ));
+}
+
+/**
+ * Get the list of fields to render for a popup
+ *
+ * content.fields[] takes precedence. The legacy single content.input
+ * is treated as a one-field form without a label.
+ *
+ * @param {Object} content - Normalized popup content
+ * @returns {Array<Object>} Field configurations, each with a name
+ */
+export function getFormFields(content) {
+    if (Array.isArray(content.fields) && content.fields.length > 0) {
+        return content.fields.map((field, i) => ({
+            ...field,
+            type: field.type || 'text',
+            name: field.name || `${field.type || 'field'}_${i}`
+        }));
+    }
+
+    if (content.input?.enabled) {
+        return [{
+            ...content.input,
+            type: content.input.type || 'email',
+            name: getInputName(content.input),
+            required: content.input.required !== false
+        }];
+    }
+
+    return [];
+}
+
+/**
+ * Build the initial values object for a set of fields
+ */
+export function getInitialValues(fields) {
+    const values = {};
+    fields.forEach((field) => {
+        if (field.type === 'checkbox') {
+            values[field.name] = field.checked === true;
+        } else {
+            values[field.name] = field.value ?? field.defaultValue ?? '';
+        }
+    });
+    return values;
+}
+
+/**
+ * Validate a single field value
+ *
+ * @param {string|boolean} value - Current field value
+ * @param {Object} field - Field configuration
+ * @param {string} field.type - "text" | "email" | "phone" | "textarea" | "select" | "checkbox" | "radio" | "hidden"
+ * @param {boolean} field.required - Defaults to true for the legacy input, false for fields[]
+ * @param {string} field.pattern - Optional regex source the value must match
+ * @param {Object} messages - Optional custom messages (form.messages)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateField(value, field, messages = {}) {
+    const msgs = { ...DEFAULT_FORM_MESSAGES, ...messages };
+
+    if (field.type === 'hidden') return null;
+
+    if (field.type === 'checkbox') {
+        if (field.required && value !== true) {
+            return field.errorMessage || msgs.checkbox;
+        }
+        return null;
+    }
+
+    const trimmed = String(value ?? '').trim();
+
+    if (!trimmed) {
+        return field.required ? (field.errorMessage || msgs.required) : null;
+    }
+
+    const typePattern = INPUT_PATTERNS[field.type];
+    if (typePattern && !typePattern.test(trimmed)) {
+        return field.errorMessage || msgs[field.type];
+    }
+
+    if (field.pattern) {
+        try {
+            if (!new RegExp(`^(?:${field.pattern})$`).test(trimmed)) {
+                return field.errorMessage || msgs.pattern;
+            }
+        } catch {
+            // Invalid pattern in config - don't block the visitor
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate all fields
+ * @returns {Object} Errors keyed by field name (empty if valid)
+ */
+export function validateFields(values, fields, messages = {}) {
+    const errors = {};
+    fields.forEach((field) => {
+        const error = validateField(values[field.name], field, messages);
+        if (error) errors[field.name] = error;
+    });
+    return errors;
+}
+
+/**
+ * Build the submission payload from field values
+ * Trims strings, keeps booleans for checkboxes
+ */
+export function serializeValues(values, fields) {
+    const result = {};
+    fields.forEach((field) => {
+        const value = values[field.name];
+        result[field.name] = typeof value === 'string' ? value.trim() : value;
+    });
+    return result;
+}
@@ -99,6 +99,89 @@ export const keyframes = `
       transform: translateY(100%);
     }
   }
+
+  @keyframes welcomeMatIn {
+    from {
+      max-height: 0;
+    }
+    to {
+      max-height: 100vh;
+    }
+  }
+
+  @keyframes welcomeMatOut {
+    from {
+      max-height: 100vh;
+    }
+    to {
+      max-height: 0;
+    }
+  }
+
+  @keyframes launcherPulse {
+    0%, 60%, 100% {
+      transform: scale(1);
+    }
+    30% {
+      transform: scale(1.06);
+    }
+  }
+
+  @keyframes launcherBounce {
+    0%, 60%, 100% {
+      transform: translateY(0);
+    }
+    20% {
+      transform: translateY(-8px);
+    }
+    40% {
+      transform: translateY(-3px);
+    }
+  }
+
+  @keyframes slideInRight {
+    from {
+      opacity: 0;
+      transform: translateX(calc(100% + 24px));
+    }
+    to {
+      opacity: 1;
+      transform: translateX(0);
+    }
+  }
+
+  @keyframes slideInLeft {
+    from {
+      opacity: 0;
+      transform: translateX(calc(-100% - 24px));
+    }
+    to {
+      opacity: 1;
+      transform: translateX(0);
+    }
+  }
+
+  @keyframes slideOutRight {
+    from {
+      opacity: 1;
+      transform: translateX(0);
+    }
+    to {
+      opacity: 0;
+      transform: translateX(calc(100% + 24px));
+    }
+  }
+
+  @keyframes slideOutLeft {
+    from {
+      opacity: 1;
+      transform: translateX(0);
+    }
+    to {
+      opacity: 0;
+      transform: translateX(calc(-100% - 24px));
+    }
+  }
 `;
 
 /**
@@ -339,6 +422,12 @@ export const responsiveStyles = `
     box-sizing: border-box;
   }
 
+  /* Welcome mat: one viewport tall, small viewport units where supported */
+  .popup-container.fullscreen.welcome-mat {
+    height: 100vh !important;
+    height: 100svh !important;
+  }
+
   .popup-headline.bar,
   .popup-body.bar {
     white-space: normal !important;
@@ -446,6 +535,51 @@ export const responsiveStyles = `
       right: 4px !important;
     }
 
+    /* Slide-in: full width along the top/bottom edge */
+    .popup-container.slide_in {
+      left: 0 !important;
+      right: 0 !important;
+      width: 100% !important;
+      max-width: none !important;
+    }
+
+    .popup-container.slide_in.bottom {
+      top: auto !important;
+      bottom: 0 !important;
+      border-radius: 16px 16px 0 0 !important;
+    }
+
+    .popup-container.slide_in.top {
+      top: 0 !important;
+      bottom: auto !important;
+      border-radius: 0 0 16px 16px !important;
+    }
+
+    .popup-container.slide_in.slide.bottom {
+      animation-name: slideUp !important;
+    }
+
+    .popup-container.slide_in.slide.top {
+      animation-name: slideDown !important;
+    }
+
+    .popup-container.slide_in.slide.bottom.exiting {
+      animation-name: slideOutDown !important;
+    }
+
+    .popup-container.slide_in.slide.top.exiting {
+      animation-name: slideOutUp !important;
+    }
+
+    .popup-countdown.blocks.modal .popup-countdown-unit {
+      min-width: 52px !important;
+      padding: 8px 6px !important;
+    }
+
+    .popup-countdown.blocks.modal .popup-countdown-value {
+      font-size: 22px !important;
+    }
+
     .popup-watermark {
       font-size: 10px !important;
       margin-top: 12px !important;
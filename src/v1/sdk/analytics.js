@@ -0,0 +1,138 @@
+/**
+ * Analytics - Batches popup impressions, clicks, closes and submits
+ *
+ * Events are queued in memory and flushed in one request when the page
+ * is hidden or unloaded (navigator.sendBeacon, with fetch keepalive as
+ * fallback), or earlier when the batch is full.
+ *
+ * Analytics never runs for embedded/preview rendering: the SDK only
+ * tracks events emitted by live popups.
+ *
+ * In consent mode, events wait in memory while consent is pending, are
+ * sent once granted and dropped if denied.
+ */
+
+import { getDeviceType } from './device.js';
+
+const MAX_BATCH_SIZE = 20;
+
+const settings = {
+    enabled: true,
+    endpoint: null,
+    apiKey: null,
+    consent: true // true granted, false denied, null pending
+};
+
+let queue = [];
+let listenersAttached = false;
+
+/**
+ * Configure analytics
+ *
+ * @param {Object} options
+ * @param {boolean} options.enabled - Set false to disable tracking
+ * @param {string} options.endpoint - URL that receives event batches
+ * @param {string} options.apiKey - Project API key sent with each batch
+ * @param {boolean|null} options.consent - Analytics consent (null = pending)
+ */
+export function configureAnalytics(options = {}) {
+    if (options.enabled !== undefined) settings.enabled = options.enabled !== false;
+    if (options.endpoint) settings.endpoint = options.endpoint;
+    if (options.apiKey) settings.apiKey = options.apiKey;
+    if (options.consent !== undefined) settings.consent = options.consent;
+
+    if (!settings.enabled || settings.consent === false) {
+        queue = [];
+    }
+
+    attachFlushListeners();
+
+    // Send what was held while consent was pending
+    if (settings.consent === true && queue.length > 0) {
+        flush();
+    }
+}
+
+/**
+ * Queue an analytics event
+ *
+ * @param {string} type - "impression" | "click" | "close" | "submit" | "launcher_click"
+ * @param {Object} data - Event data
+ * @param {string} data.popupId - Popup identifier
+ * @param {string} data.variantId - A/B variant id (null if not an experiment)
+ */
+export function trackEvent(type, data = {}) {
+    if (!settings.enabled || !settings.endpoint || settings.consent === false) return;
+
+    const { popupId, variantId, ...extra } = data;
+
+    queue.push({
+        type,
+        popup_id: popupId,
+        variant: variantId || null,
+        device: getDeviceType(),
+        path: window.location.pathname,
+        timestamp: Date.now(),
+        ...extra
+    });
+
+    if (settings.consent === null) {
+        // Pending consent: hold the most recent batch only
+        queue = queue.slice(-MAX_BATCH_SIZE);
+    } else if (queue.length >= MAX_BATCH_SIZE) {
+        flush();
+    }
+}
+
+/**
+ * Send all queued events
+ *
+ * Uses a text/plain body so neither sendBeacon nor fetch needs a CORS
+ * preflight (beacons cannot be preflighted).
+ */
+export function flush() {
+    if (queue.length === 0 || !settings.endpoint || settings.consent !== true) return;
+
+    const body = JSON.stringify({
+        api_key: settings.apiKey,
+        events: queue
+    });
+    queue = [];
+
+    try {
+        const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+        if (navigator.sendBeacon && navigator.sendBeacon(settings.endpoint, blob)) {
+            return;
+        }
+    } catch (e) {
+        // Fall through to fetch
+    }
+
+    try {
+        fetch(settings.endpoint, {
+            method: 'POST',
+            keepalive: true,
+            headers: {
+                'Content-Type': 'text/plain;charset=UTF-8'
+            },
+            body
+        }).catch(() => { /* silent - analytics must never break the page */ });
+    } catch (e) {
+        // fetch unavailable - drop the batch
+    }
+}
+
+/**
+ * Flush when the page is hidden or unloaded
+ */
+function attachFlushListeners() {
+    if (listenersAttached) return;
+    listenersAttached = true;
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flush();
+        }
+    });
+    window.addEventListener('pagehide', flush);
+}
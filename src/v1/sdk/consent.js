@@ -0,0 +1,173 @@
+/**
+ * Consent - Gates persistence, analytics and third-party requests
+ *
+ * Off by default: the SDK stores, tracks and loads fonts as usual.
+ * Consent mode must be on before init() records the page view:
+ * data-consent-mode on the script tag, or data-manual plus
+ * ToggleupSDK.configure({ consentMode: true }) before ToggleupSDK.init().
+ * Enabled later, it only gates what happens from then on.
+ * With consent mode on each purpose stays pending until
+ * granted or denied, either by the host via ToggleupSDK.setConsent() or
+ * by a consent management platform:
+ * - IAB TCF v2 (window.__tcfapi): storage = purpose 1,
+ *   analytics = purposes 1 and 8 (measure content performance)
+ * - Google Consent Mode (gtag/dataLayer): storage = functionality_storage,
+ *   analytics = analytics_storage
+ *
+ * Purposes:
+ * - storage: persist frequency and visitor state (memory only until granted)
+ * - analytics: send analytics and load third-party resources (Google Fonts)
+ */
+
+const PURPOSES = ['storage', 'analytics'];
+
+// true = granted, false = denied, null = pending
+const state = {
+    required: false,
+    storage: null,
+    analytics: null
+};
+
+const listeners = [];
+
+let cmpListenersAttached = false;
+
+/**
+ * Turn consent mode on (cannot be turned off for the page)
+ */
+export function enableConsentMode() {
+    if (state.required) return;
+    state.required = true;
+
+    listenToCmp();
+    notify();
+}
+
+/**
+ * Grant or deny consent purposes
+ * Purposes left undefined keep their current state
+ *
+ * @param {Object} consent - { storage: boolean, analytics: boolean }
+ */
+export function setConsent(consent = {}) {
+    let hasChanged = false;
+
+    PURPOSES.forEach((purpose) => {
+        if (consent[purpose] === undefined) return;
+
+        const granted = consent[purpose] === true;
+        if (state[purpose] !== granted) {
+            state[purpose] = granted;
+            hasChanged = true;
+        }
+    });
+
+    if (hasChanged) {
+        notify();
+    }
+}
+
+/**
+ * Check if a purpose may be used now
+ * Always true when consent mode is off
+ *
+ * @param {string} purpose - "storage" | "analytics"
+ * @returns {boolean}
+ */
+export function hasConsent(purpose) {
+    return !state.required || state[purpose] === true;
+}
+
+/**
+ * Get the state of a purpose
+ * @param {string} purpose - "storage" | "analytics"
+ * @returns {boolean|null} true granted, false denied, null pending
+ */
+export function getConsentState(purpose) {
+    return state.required ? state[purpose] : true;
+}
+
+/**
+ * Subscribe to consent changes
+ * @param {Function} handler - Called with no arguments after any change
+ */
+export function onConsentChange(handler) {
+    listeners.push(handler);
+}
+
+function notify() {
+    listeners.forEach(handler => handler());
+}
+
+// ============================================
+// CMP signals
+// ============================================
+
+function listenToCmp() {
+    if (cmpListenersAttached) return;
+    cmpListenersAttached = true;
+
+    listenToTcf();
+    listenToGoogleConsentMode();
+}
+
+/**
+ * IAB TCF v2: read consent once the CMP is loaded and on every user action
+ */
+function listenToTcf() {
+    if (typeof window.__tcfapi !== 'function') return;
+
+    try {
+        window.__tcfapi('addEventListener', 2, (tcData, success) => {
+            if (!success || !tcData) return;
+            if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') return;
+
+            // GDPR does not apply to this visitor
+            if (tcData.gdprApplies === false) {
+                setConsent({ storage: true, analytics: true });
+                return;
+            }
+
+            const purposes = tcData.purpose?.consents || {};
+            setConsent({
+                storage: purposes[1] === true,
+                analytics: purposes[1] === true && purposes[8] === true
+            });
+        });
+    } catch (e) {
+        console.warn('[Toggleup] Could not read TCF consent:', e.message);
+    }
+}
+
+/**
+ * Google Consent Mode: replay gtag('consent', ...) commands already in
+ * dataLayer, then watch for new ones
+ */
+function listenToGoogleConsentMode() {
+    window.dataLayer = window.dataLayer || [];
+    const dataLayer = window.dataLayer;
+
+    dataLayer.forEach(readGtagConsent);
+
+    const originalPush = dataLayer.push;
+    dataLayer.push = function (...items) {
+        const result = originalPush.apply(this, items);
+        items.forEach(readGtagConsent);
+        return result;
+    };
+}
+
+/**
+ * Read a dataLayer entry of the form gtag('consent', 'default' | 'update', { ... })
+ */
+function readGtagConsent(item) {
+    if (!item || item[0] !== 'consent' || typeof item[2] !== 'object' || !item[2]) return;
+
+    const signals = item[2];
+    const toGrant = value => (value === undefined ? undefined : value === 'granted');
+
+    setConsent({
+        storage: toGrant(signals.functionality_storage),
+        analytics: toGrant(signals.analytics_storage)
+    });
+}
@@ -0,0 +1,105 @@
+/**
+ * Countdown - Resolves content.countdown deadlines before rendering
+ *
+ * content.countdown example:
+ * {
+ *   endsAt: '2026-11-30T23:59',   // fixed, in `timezone` unless an offset is given
+ *   timezone: 'Europe/Madrid',    // IANA name, defaults to the visitor's timezone
+ *   // or evergreen, per visitor:
+ *   duration: 15,                 // minutes from the visitor's first view
+ *   onExpire: 'hide'              // "hide" | "text" | "close"
+ * }
+ *
+ * The renderer only receives an absolute endsAt timestamp. Evergreen
+ * deadlines start when the popup is first shown and are kept in the
+ * frequency record, so reloading the page does not restart them.
+ *
+ * With onExpire "hide" (default) or "close" the popup is not shown past
+ * its deadline; "text" keeps showing it with the expired text.
+ */
+
+import { parseDateTime } from './schedule.js';
+import { getCountdownDeadline, startCountdown } from './frequency.js';
+
+const MINUTE = 60 * 1000;
+
+// onExpire behaviors that take the popup down
+const ENDING_BEHAVIORS = ['hide', 'close'];
+
+/**
+ * Get every countdown of a popup (content and steps)
+ */
+function getCountdowns(design) {
+    const steps = Array.isArray(design.steps) ? design.steps : [];
+    return [design.content, ...steps.map(step => step.content)]
+        .map(content => content?.countdown)
+        .filter(Boolean);
+}
+
+/**
+ * Get a countdown's deadline
+ * @param {boolean} start - Start an evergreen countdown that has not started yet
+ * @returns {number|null} Timestamp, null if unknown or not started
+ */
+function getDeadline(popupId, countdown, start) {
+    if (countdown.endsAt !== null && countdown.endsAt !== undefined) {
+        const deadline = parseDateTime(countdown.endsAt, countdown.timezone || undefined);
+        return Number.isNaN(deadline) ? null : deadline;
+    }
+
+    if (countdown.duration > 0) {
+        return start
+            ? startCountdown(popupId, countdown.duration * MINUTE)
+            : getCountdownDeadline(popupId);
+    }
+
+    return null;
+}
+
+/**
+ * Check if a countdown of the popup (content or steps) ran out and takes
+ * the popup down (onExpire "hide" or "close")
+ *
+ * @param {Object} config - Popup configuration
+ * @param {number} now - Timestamp, defaults to now
+ * @returns {boolean}
+ */
+export function isCountdownExpired(config, now = Date.now()) {
+    const design = config.design || config;
+
+    return getCountdowns(design)
+        .filter(countdown => ENDING_BEHAVIORS.includes(countdown.onExpire || 'hide'))
+        .some((countdown) => {
+            const deadline = getDeadline(config.id, countdown, false);
+            return deadline !== null && deadline <= now;
+        });
+}
+
+/**
+ * Give every countdown of a popup (content and steps) an absolute endsAt,
+ * starting evergreen countdowns on this first view
+ *
+ * @param {Object} config - Popup configuration
+ * @returns {Object} Config with resolved countdowns (the same object if none)
+ */
+export function resolveCountdowns(config) {
+    const design = config.design || config;
+    const steps = Array.isArray(design.steps) ? design.steps : [];
+
+    if (getCountdowns(design).length === 0) return config;
+
+    const resolveContent = (content) => {
+        if (!content?.countdown) return content;
+
+        const endsAt = getDeadline(config.id, content.countdown, true);
+        return { ...content, countdown: { ...content.countdown, endsAt } };
+    };
+
+    const resolved = {
+        ...design,
+        content: resolveContent(design.content),
+        ...(steps.length ? { steps: steps.map(step => ({ ...step, content: resolveContent(step.content) })) } : {})
+    };
+
+    return config.design ? { ...config, design: resolved } : resolved;
+}
@@ -0,0 +1,166 @@
+/**
+ * Display Manager - Decides whether a triggered popup may appear NOW
+ *
+ * Popups are placed in display slots so they never stack:
+ * - one modal or fullscreen popup at a time ("modal" slot)
+ * - bars may coexist, one per edge ("bar:top", "bar:bottom")
+ * - slide-ins may coexist, one per corner ("slide_in:bottom-right", ...)
+ * - inline popups are part of the page content: each has its own slot
+ *   ("inline:<id>") and is not subject to the cooldown
+ *
+ * Popups triggered while their slot is busy wait in a queue, ordered by
+ * config.priority (higher first). An optional global cooldown spaces
+ * popups out across the session; popups the visitor asked for (reopened
+ * from a launcher) skip it.
+ *
+ * A popup may wait a long time, so an optional canShow() check runs again
+ * right before it is shown; popups that fail it are dropped.
+ */
+
+import { getLastPopupShownAt, markPopupShownAt } from './visitor.js';
+import { getSlideInCorner } from '../engine/defaults.js';
+
+const settings = {
+    cooldown: 0 // seconds between popups, per session
+};
+
+// slot -> popup id currently shown in it
+const activeSlots = new Map();
+
+// [{ config, show, order, skipCooldown, canShow }]
+let queue = [];
+let requestCount = 0;
+let processTimer = null;
+
+/**
+ * Configure the display manager
+ * @param {Object} options - { cooldown } in seconds
+ */
+export function configureDisplay(options = {}) {
+    if (options.cooldown !== undefined) {
+        settings.cooldown = Math.max(0, Number(options.cooldown) || 0);
+    }
+}
+
+/**
+ * Get the display slot a popup occupies
+ * @param {Object} config - Popup configuration
+ * @returns {string}
+ */
+export function getDisplaySlot(config) {
+    const design = config.design || config;
+
+    if (design.type === 'bar') {
+        return `bar:${design.position || 'top'}`;
+    }
+
+    if (design.type === 'inline') {
+        return `inline:${config.id}`;
+    }
+
+    if (design.type === 'slide_in') {
+        const { vertical, horizontal } = getSlideInCorner(design.position);
+        return `slide_in:${vertical}-${horizontal}`;
+    }
+
+    return 'modal';
+}
+
+/**
+ * Ask to show a popup; it is shown as soon as its slot is free
+ *
+ * @param {Object} config - Popup configuration
+ * @param {Function} show - Renders the popup
+ * @param {Object} options
+ * @param {boolean} options.userInitiated - Skip the cooldown
+ * @param {Function} options.canShow - Re-checked when the slot frees up
+ */
+export function requestDisplay(config, show, options = {}) {
+    const isPending = queue.some(item => item.config.id === config.id);
+    const isActive = Array.from(activeSlots.values()).includes(config.id);
+    if (config.id && (isPending || isActive)) return;
+
+    queue.push({
+        config,
+        show,
+        order: requestCount++,
+        skipCooldown: options.userInitiated === true,
+        canShow: options.canShow
+    });
+    scheduleProcess(0);
+}
+
+/**
+ * Free a popup's slot (call when it closes) and show the next in queue
+ * @param {Object} config - Popup configuration
+ */
+export function releaseDisplay(config) {
+    const slot = getDisplaySlot(config);
+    if (activeSlots.get(slot) !== config.id) return;
+
+    activeSlots.delete(slot);
+    scheduleProcess(0);
+}
+
+/**
+ * Drop queued popups and forget active slots (SPA navigation)
+ */
+export function resetDisplay() {
+    queue = [];
+    activeSlots.clear();
+    clearTimeout(processTimer);
+    processTimer = null;
+}
+
+/**
+ * Process on the next tick so popups triggered together are
+ * ordered by priority rather than by who fired first
+ */
+function scheduleProcess(delay) {
+    clearTimeout(processTimer);
+    processTimer = setTimeout(processQueue, delay);
+}
+
+function getCooldownRemaining() {
+    const lastShownAt = getLastPopupShownAt();
+    if (!settings.cooldown || !lastShownAt) return 0;
+
+    return Math.max(0, lastShownAt + settings.cooldown * 1000 - Date.now());
+}
+
+function processQueue() {
+    processTimer = null;
+
+    queue.sort((a, b) => ((b.config.priority || 0) - (a.config.priority || 0)) || (a.order - b.order));
+
+    const remaining = [];
+
+    for (const item of queue) {
+        const slot = getDisplaySlot(item.config);
+
+        if (activeSlots.has(slot)) {
+            remaining.push(item);
+            continue;
+        }
+
+        const isInline = slot.startsWith('inline:');
+
+        const cooldownRemaining = isInline || item.skipCooldown ? 0 : getCooldownRemaining();
+        if (cooldownRemaining > 0) {
+            remaining.push(item);
+            scheduleProcess(cooldownRemaining);
+            continue;
+        }
+
+        // Schedule, targeting or countdown may have changed while queued
+        if (item.canShow && !item.canShow()) continue;
+
+        activeSlots.set(slot, item.config.id);
+        if (!isInline) {
+            markPopupShownAt();
+        }
+        item.show();
+    }
+
+    queue = remaining;
+}
@@ -0,0 +1,94 @@
+/**
+ * Event Bus - Lets host pages observe the popup lifecycle
+ *
+ * Events are delivered to handlers registered via ToggleupSDK.on/once
+ * and also dispatched as DOM CustomEvents on window, prefixed with
+ * "toggleup:" (e.g. "toggleup:popup:shown"), so tag managers can
+ * listen without touching the SDK object.
+ *
+ * Every popup event detail includes popupId and variantId (A/B variant or null).
+ *
+ * Events:
+ * - popup:triggered  { popupId }
+ * - popup:shown      { popupId }
+ * - popup:closed     { popupId, reason: 'close_button' | 'overlay' | 'button' | 'escape' | 'auto' | 'expired' }
+ * - popup:suppressed { popupId, reason: 'frequency' | 'device' | 'targeting' | 'schedule' | 'expired' }
+ * - launcher:shown   { popupId }
+ * - launcher:click   { popupId } (the popup is reopened)
+ * - launcher:closed  { popupId } (dismissed by the visitor)
+ * - button:click     { popupId, index, text, action, url }
+ * - form:submit      { popupId, fields }
+ * - track            { event, properties } (from ToggleupSDK.track, no popupId)
+ */
+
+const DOM_EVENT_PREFIX = 'toggleup:';
+
+const listeners = {};
+
+/**
+ * Subscribe to an event
+ *
+ * @param {string} event - Event name
+ * @param {Function} handler - Called with the event detail
+ * @returns {Function} Unsubscribe function
+ */
+export function on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+
+    (listeners[event] = listeners[event] || []).push(handler);
+    return () => off(event, handler);
+}
+
+/**
+ * Unsubscribe from an event
+ *
+ * @param {string} event - Event name
+ * @param {Function} handler - Handler previously passed to on()
+ */
+export function off(event, handler) {
+    const handlers = listeners[event];
+    if (!handlers) return;
+
+    listeners[event] = handlers.filter(h => h !== handler && h._original !== handler);
+}
+
+/**
+ * Subscribe to the next occurrence of an event only
+ *
+ * @param {string} event - Event name
+ * @param {Function} handler - Called once with the event detail
+ * @returns {Function} Unsubscribe function
+ */
+export function once(event, handler) {
+    const wrapper = (detail) => {
+        off(event, wrapper);
+        handler(detail);
+    };
+    wrapper._original = handler;
+    return on(event, wrapper);
+}
+
+/**
+ * Emit an event to SDK listeners and as a DOM CustomEvent on window
+ *
+ * @param {string} event - Event name
+ * @param {Object} detail - Event payload
+ */
+export function emit(event, detail = {}) {
+    const handlers = (listeners[event] || []).slice();
+
+    handlers.forEach(handler => {
+        try {
+            handler(detail);
+        } catch (e) {
+            // A failing host listener must never break the popup
+            console.warn(`[Toggleup] Listener for "${event}" failed:`, e.message);
+        }
+    });
+
+    try {
+        window.dispatchEvent(new CustomEvent(DOM_EVENT_PREFIX + event, { detail }));
+    } catch (e) {
+        // CustomEvent unavailable (very old browsers) - SDK listeners still ran
+    }
+}
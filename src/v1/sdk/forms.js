@@ -0,0 +1,35 @@
+/**
+ * Form Submission - Sends popup form values to the API
+ *
+ * The PopupRenderer validates values client-side and calls the SDK's
+ * onSubmit handler, which posts them here.
+ */
+
+/**
+ * Submit form values for a popup
+ *
+ * @param {string} endpoint - URL to POST the submission to
+ * @param {Object} payload - Submission body
+ * @param {string} payload.popup_id - Popup identifier
+ * @param {Object} payload.fields - Field values keyed by name
+ * @returns {Promise<Object|null>} Parsed JSON response, if any
+ */
+export async function submitForm(endpoint, payload) {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+    }
+
+    try {
+        return await response.json();
+    } catch {
+        return null; // Empty or non-JSON response is still a success
+    }
+}
@@ -1,169 +1,401 @@
 /**
  * Frequency Capping - Controls how often a popup is shown to a user
  * 
- * Uses localStorage and sessionStorage to track popup views.
+ * Each popup keeps one versioned JSON record in the persistent store with
+ * its impressions, closes and conversion (see "Per-popup record" below).
  * All storage keys are prefixed to avoid collisions with client site data.
  */
 
-const STORAGE_PREFIX = 'popups_dev_';
+import { STORAGE_PREFIX, getPersistentStore, getSessionStore } from './storage.js';
+
+const RECORD_VERSION = 1;
+
+// Recent impression timestamps kept for per-period caps, small enough for
+// a cookie; a larger per-period maxImpressions keeps that many instead.
+// Popups without a per-period cap keep none (every record may be a cookie)
+const MAX_STORED_IMPRESSIONS = 20;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const PERIOD_UNITS = {
+    minutes: 60 * 1000,
+    hours: 60 * 60 * 1000,
+    days: DAY,
+    weeks: 7 * DAY
+};
+
+// Preset caps expressed as rules
+const CAP_PRESETS = {
+    always: {},
+    once_per_session: { maxImpressions: 1, per: 'session' },
+    once_per_day: { maxImpressions: 1, per: 'days', period: 1 },
+    once_per_week: { maxImpressions: 1, per: 'weeks', period: 1 },
+    once_ever: { maxImpressions: 1 },
+
+    // Legacy names
+    once_per_user_24h: { maxImpressions: 1, per: 'days', period: 1 },
+    once_lifetime: { maxImpressions: 1 }
+};
 
 /**
  * Check if a popup should be shown based on frequency rules
- * 
+ *
+ * Rules can be combined:
+ * - cap: preset, "always" | "once_per_session" | "once_per_day" | "once_per_week" | "once_ever"
+ * - maxImpressions + per + period: at most N impressions per period,
+ *   e.g. { maxImpressions: 3, per: 'days', period: 7 }
+ *   per: "session" | "minutes" | "hours" | "days" | "weeks" (omit = ever)
+ * - maxCloses: stop after the visitor closed it N times
+ * - stopAfterConversion: never show again once the visitor submitted
+ * - reshowAfterDays: after a close, wait X days before showing again
+ *
  * @param {string} popupId - Unique popup identifier
- * @param {Object} frequencyConfig - Frequency configuration
- * @param {string} frequencyConfig.cap - Cap type: "always" | "once_per_session" | "once_per_user_24h" | "once_lifetime"
+ * @param {Object} frequencyConfig - rules.frequency
  * @returns {boolean} True if popup should be shown
  */
-export function shouldShowPopup(popupId, frequencyConfig) {
-    const { cap } = frequencyConfig;
+export function shouldShowPopup(popupId, frequencyConfig = {}) {
+    if (!frequencyConfig) return true;
 
-    switch (cap) {
-        case 'always':
-            return true;
+    const record = readRecord(popupId);
+    const now = Date.now();
 
-        case 'once_per_session':
-            return !hasShownThisSession(popupId);
+    const rules = getRules(frequencyConfig);
 
-        case 'once_per_day':
-            return !hasShownInLast24Hours(popupId);
+    if (rules.maxImpressions > 0 && countImpressions(record, rules, now) >= rules.maxImpressions) {
+        return false;
+    }
 
-        case 'once_per_week':
-            return !hasShownInLastWeek(popupId);
+    if (rules.maxCloses > 0 && record.closes >= rules.maxCloses) {
+        return false;
+    }
 
-        case 'once_ever':
-            return !hasEverShown(popupId);
+    if (rules.stopAfterConversion && record.convertedAt) {
+        return false;
+    }
 
-        // Legacy/Fallback support
-        case 'once_per_user_24h':
-            return !hasShownInLast24Hours(popupId);
-        case 'once_lifetime':
-            return !hasEverShown(popupId);
+    if (rules.reshowAfterDays > 0 && record.lastClosedAt
+        && now - record.lastClosedAt < rules.reshowAfterDays * DAY) {
+        return false;
+    }
 
-        default:
-            // Default to always showing for unknown cap types
-            return true;
+    return true;
+}
+
+/**
+ * Resolve a preset cap and custom rules into one set of rules
+ */
+function getRules(frequencyConfig) {
+    return { ...(CAP_PRESETS[frequencyConfig?.cap] || {}), ...frequencyConfig };
+}
+
+/**
+ * How many impression timestamps to keep: only per-period caps read them,
+ * and they need at least their maxImpressions most recent ones
+ */
+function getStoredImpressionsLimit(rules) {
+    if (!PERIOD_UNITS[rules.per] || !(rules.maxImpressions > 0)) return 0;
+
+    return Math.max(MAX_STORED_IMPRESSIONS, Number(rules.maxImpressions));
+}
+
+/**
+ * Count the impressions that fall inside the cap's period
+ */
+function countImpressions(record, rules, now) {
+    if (rules.per === 'session') {
+        return record.session.id === getSessionId() ? record.session.impressions : 0;
     }
+
+    const unit = PERIOD_UNITS[rules.per];
+    if (!unit) {
+        return record.totalImpressions; // No period = ever
+    }
+
+    const since = now - unit * (Number(rules.period) || 1);
+    return record.impressions.filter(timestamp => timestamp > since).length;
 }
 
 /**
  * Record that a popup was shown (call this when popup is displayed)
- * 
+ *
  * @param {string} popupId - Unique popup identifier
- * @param {Object} frequencyConfig - Frequency configuration
+ * @param {Object} frequencyConfig - rules.frequency (decides how much history is kept)
  */
-export function recordPopupShown(popupId, frequencyConfig) {
-    const { cap } = frequencyConfig;
+export function recordPopupShown(popupId, frequencyConfig = {}) {
+    const limit = getStoredImpressionsLimit(getRules(frequencyConfig));
+
+    updateRecord(popupId, (record) => {
+        const sessionId = getSessionId();
+
+        record.impressions = limit > 0 ? record.impressions.concat(Date.now()).slice(-limit) : [];
+        record.totalImpressions += 1;
+        record.session = {
+            id: sessionId,
+            impressions: (record.session.id === sessionId ? record.session.impressions : 0) + 1
+        };
+    });
+}
 
-    try {
-        switch (cap) {
-            case 'once_per_session':
-                markShownThisSession(popupId);
-                break;
-
-            case 'once_per_day':
-            case 'once_per_user_24h':
-                markShownWithTimestamp(popupId);
-                break;
-
-            case 'once_per_week':
-                markShownWithTimestamp(popupId);
-                break;
-
-            case 'once_ever':
-            case 'once_lifetime':
-                markShownForever(popupId);
-                break;
-
-            // 'always' doesn't need recording
+/**
+ * Record that the visitor closed (dismissed) a popup
+ *
+ * @param {string} popupId - Unique popup identifier
+ */
+export function recordPopupClosed(popupId) {
+    updateRecord(popupId, (record) => {
+        record.closes += 1;
+        record.lastClosedAt = Date.now();
+    });
+}
+
+/**
+ * Check if a popup's launcher (teaser) should be on screen
+ * It appears once the popup was closed, until the visitor dismisses it
+ * or converts; closing the popup again later brings it back.
+ *
+ * @param {string} popupId - Unique popup identifier
+ * @returns {boolean}
+ */
+export function shouldShowLauncher(popupId) {
+    const record = readRecord(popupId);
+
+    if (!record.lastClosedAt || record.convertedAt) return false;
+
+    return !record.launcherDismissedAt || record.launcherDismissedAt < record.lastClosedAt;
+}
+
+/**
+ * Record that the visitor dismissed a popup's launcher
+ *
+ * @param {string} popupId - Unique popup identifier
+ */
+export function recordLauncherDismissed(popupId) {
+    updateRecord(popupId, (record) => {
+        record.launcherDismissedAt = Date.now();
+    });
+}
+
+/**
+ * Get the visitor's evergreen countdown deadline, if it was started
+ *
+ * @param {string} popupId - Unique popup identifier
+ * @returns {number|null} Deadline timestamp
+ */
+export function getCountdownDeadline(popupId) {
+    return readRecord(popupId).countdownEndsAt || null;
+}
+
+/**
+ * Start the visitor's evergreen countdown (first view)
+ * Once started the deadline is kept, on later pages and visits too
+ *
+ * @param {string} popupId - Unique popup identifier
+ * @param {number} durationMs - Countdown length
+ * @returns {number} Deadline timestamp
+ */
+export function startCountdown(popupId, durationMs) {
+    let deadline = Date.now() + durationMs;
+
+    updateRecord(popupId, (record) => {
+        if (!record.countdownEndsAt) {
+            record.countdownEndsAt = deadline;
         }
-    } catch (e) {
-        // Storage might be unavailable (private browsing, etc.)
-        // Fail silently - popup will just show again next time
-        console.warn('[Pop-ups.dev] Could not record popup view:', e.message);
-    }
+        deadline = record.countdownEndsAt;
+    });
+
+    return deadline;
+}
+
+/**
+ * Record that the visitor converted (submitted the popup's form)
+ *
+ * @param {string} popupId - Unique popup identifier
+ */
+export function recordPopupConverted(popupId) {
+    updateRecord(popupId, (record) => {
+        record.convertedAt = record.convertedAt || Date.now();
+    });
 }
 
 // ============================================
-// Session-based tracking (sessionStorage)
+// Per-popup record (persistent store, versioned JSON)
 // ============================================
 
-function getSessionKey(popupId) {
-    return `${STORAGE_PREFIX}${popupId}_session`;
+/*
+ * popups_dev_popup_<popupId> = {
+ *   v: 1,
+ *   impressions: [timestamp, ...],      // most recent, see getStoredImpressionsLimit
+ *   totalImpressions: 0,
+ *   session: { id, impressions },       // impressions in the current session
+ *   closes: 0,
+ *   lastClosedAt: null,
+ *   convertedAt: null,
+ *   launcherDismissedAt: null,          // launcher (teaser) closed by the visitor
+ *   countdownEndsAt: null,              // evergreen countdown deadline
+ *   variant: null                       // A/B assignment
+ * }
+ */
+
+function getRecordKey(popupId) {
+    return `${STORAGE_PREFIX}popup_${popupId}`;
 }
 
-function hasShownThisSession(popupId) {
+function createRecord() {
+    return {
+        v: RECORD_VERSION,
+        impressions: [],
+        totalImpressions: 0,
+        session: { id: null, impressions: 0 },
+        closes: 0,
+        lastClosedAt: null,
+        convertedAt: null,
+        launcherDismissedAt: null,
+        countdownEndsAt: null,
+        variant: null
+    };
+}
+
+function readRecord(popupId) {
     try {
-        return sessionStorage.getItem(getSessionKey(popupId)) === 'true';
+        const raw = getPersistentStore().getItem(getRecordKey(popupId));
+        if (raw) {
+            const stored = JSON.parse(raw);
+            if (stored && stored.v === RECORD_VERSION) {
+                return { ...createRecord(), ...stored };
+            }
+        }
     } catch {
-        return false;
+        // Corrupted record - start over rather than block the popup forever
+        return createRecord();
     }
+
+    return migrateLegacyRecord(popupId);
 }
 
-function markShownThisSession(popupId) {
-    sessionStorage.setItem(getSessionKey(popupId), 'true');
+function writeRecord(popupId, record) {
+    // Leave out empty fields (readRecord fills in defaults): records may be cookies
+    const compact = {};
+    Object.keys(record).forEach((key) => {
+        const value = record[key];
+        if (value === null || (Array.isArray(value) && value.length === 0)) return;
+        compact[key] = value;
+    });
+
+    // The store falls back to memory if the backend fails
+    getPersistentStore().setItem(getRecordKey(popupId), JSON.stringify(compact));
 }
 
-// ============================================
-// Time-based tracking (localStorage with timestamp)
-// ============================================
+function updateRecord(popupId, update) {
+    if (!popupId) return;
 
-function getTimestampKey(popupId) {
-    return `${STORAGE_PREFIX}${popupId}_last_shown`;
+    const record = readRecord(popupId);
+    update(record);
+    writeRecord(popupId, record);
 }
 
-function hasShownInLast24Hours(popupId) {
-    try {
-        const lastShown = localStorage.getItem(getTimestampKey(popupId));
-        if (!lastShown) return false;
-
-        const lastShownTime = parseInt(lastShown, 10);
-        const now = Date.now();
-        const oneDay = 24 * 60 * 60 * 1000;
+/**
+ * Build a record from the pre-v1 string keys and remove them
+ * (popups_dev_<id>_session, _last_shown, _lifetime, _variant)
+ */
+function migrateLegacyRecord(popupId) {
+    const record = createRecord();
+    const legacyKey = (suffix) => `${STORAGE_PREFIX}${popupId}_${suffix}`;
+    const persistent = getPersistentStore();
+    const session = getSessionStore();
+
+    const shownThisSession = session.getItem(legacyKey('session')) === 'true';
+    const lastShown = parseInt(persistent.getItem(legacyKey('last_shown')), 10);
+    const shownEver = persistent.getItem(legacyKey('lifetime')) === 'true';
+    const variant = persistent.getItem(legacyKey('variant'));
+
+    if (!shownThisSession && !lastShown && !shownEver && !variant) {
+        return record;
+    }
 
-        return (now - lastShownTime) < oneDay;
-    } catch {
-        return false;
+    if (lastShown) {
+        record.impressions = [lastShown];
     }
-}
+    if (lastShown || shownEver || shownThisSession) {
+        record.totalImpressions = 1;
+    }
+    if (shownThisSession) {
+        record.session = { id: getSessionId(), impressions: 1 };
+    }
+    record.variant = variant;
 
-function hasShownInLastWeek(popupId) {
-    try {
-        const lastShown = localStorage.getItem(getTimestampKey(popupId));
-        if (!lastShown) return false;
+    writeRecord(popupId, record);
 
-        const lastShownTime = parseInt(lastShown, 10);
-        const now = Date.now();
-        const oneWeek = 7 * 24 * 60 * 60 * 1000;
+    session.removeItem(legacyKey('session'));
+    ['last_shown', 'lifetime', 'variant'].forEach(suffix => persistent.removeItem(legacyKey(suffix)));
 
-        return (now - lastShownTime) < oneWeek;
-    } catch {
-        return false;
-    }
+    return record;
 }
 
-function markShownWithTimestamp(popupId) {
-    localStorage.setItem(getTimestampKey(popupId), Date.now().toString());
+// ============================================
+// Session identity (session store)
+// ============================================
+
+const SESSION_ID_KEY = `${STORAGE_PREFIX}session_id`;
+
+/**
+ * Get an id for the current browser session, so per-session caps
+ * can live in the persistent record
+ */
+function getSessionId() {
+    const store = getSessionStore();
+
+    let sessionId = store.getItem(SESSION_ID_KEY);
+    if (!sessionId) {
+        sessionId = generateId();
+        store.setItem(SESSION_ID_KEY, sessionId);
+    }
+    return sessionId;
 }
 
 // ============================================
-// Lifetime tracking (localStorage permanent flag)
+// Visitor identity & A/B variant assignment (persistent store)
 // ============================================
 
-function getLifetimeKey(popupId) {
-    return `${STORAGE_PREFIX}${popupId}_lifetime`;
-}
+const VISITOR_ID_KEY = `${STORAGE_PREFIX}visitor_id`;
 
-function hasEverShown(popupId) {
-    try {
-        return localStorage.getItem(getLifetimeKey(popupId)) === 'true';
-    } catch {
-        return false;
+/**
+ * Get a persistent anonymous visitor id, creating one on first use
+ * @returns {string}
+ */
+export function getVisitorId() {
+    const store = getPersistentStore();
+
+    let visitorId = store.getItem(VISITOR_ID_KEY);
+    if (!visitorId) {
+        visitorId = generateId();
+        store.setItem(VISITOR_ID_KEY, visitorId);
     }
+    return visitorId;
+}
+
+function generateId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
 }
 
-function markShownForever(popupId) {
-    localStorage.setItem(getLifetimeKey(popupId), 'true');
+/**
+ * Get the variant previously assigned to this visitor
+ * @param {string} popupId - Unique popup identifier
+ * @returns {string|null} Variant id
+ */
+export function getAssignedVariant(popupId) {
+    return readRecord(popupId).variant;
+}
+
+/**
+ * Persist the variant assigned to this visitor
+ * Assignment stays deterministic via visitor id hashing if storage fails
+ * @param {string} popupId - Unique popup identifier
+ * @param {string} variantId - Assigned variant id
+ */
+export function saveAssignedVariant(popupId, variantId) {
+    updateRecord(popupId, (record) => {
+        record.variant = variantId;
+    });
 }
 
 // ============================================
@@ -174,29 +406,11 @@ function markShownForever(popupId) {
  * Clear all popup tracking data (useful for debugging)
  */
 export function clearAllPopupData() {
-    try {
-        // Clear localStorage
-        const localKeys = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(STORAGE_PREFIX)) {
-                localKeys.push(key);
-            }
-        }
-        localKeys.forEach(key => localStorage.removeItem(key));
-
-        // Clear sessionStorage
-        const sessionKeys = [];
-        for (let i = 0; i < sessionStorage.length; i++) {
-            const key = sessionStorage.key(i);
-            if (key && key.startsWith(STORAGE_PREFIX)) {
-                sessionKeys.push(key);
-            }
-        }
-        sessionKeys.forEach(key => sessionStorage.removeItem(key));
+    [getPersistentStore(), getSessionStore()].forEach((store) => {
+        store.keys()
+            .filter(key => key && key.startsWith(STORAGE_PREFIX))
+            .forEach(key => store.removeItem(key));
+    });
 
-        console.log('[Pop-ups.dev] Cleared all popup tracking data');
-    } catch (e) {
-        console.warn('[Pop-ups.dev] Could not clear popup data:', e.message);
-    }
+    console.log('[Pop-ups.dev] Cleared all popup tracking data');
 }
@@ -20,9 +20,30 @@
 
 import { h, render } from 'preact';
 import { PopupRenderer } from '../engine/PopupRenderer.jsx';
+import { Launcher } from '../engine/Launcher.jsx';
+import { getSlideInCorner } from '../engine/defaults.js';
 import { setupTrigger } from './triggers.js';
-import { shouldShowPopup, recordPopupShown } from './frequency.js';
+import {
+    shouldShowPopup,
+    recordPopupShown,
+    recordPopupClosed,
+    recordPopupConverted,
+    shouldShowLauncher,
+    recordLauncherDismissed
+} from './frequency.js';
+import { configureStorage, setStorageConsent } from './storage.js';
+import { enableConsentMode, setConsent, hasConsent, getConsentState, onConsentChange } from './consent.js';
 import { isDeviceAllowed } from './device.js';
+import { submitForm } from './forms.js';
+import { on, off, once, emit } from './events.js';
+import { configureAnalytics, trackEvent } from './analytics.js';
+import { applyVariant } from './variants.js';
+import { isUrlAllowed, matchesAudience, matchesAttributes } from './targeting.js';
+import { recordPageView, getVisitorContext, setAttributes } from './visitor.js';
+import { isWithinSchedule } from './schedule.js';
+import { isCountdownExpired, resolveCountdowns } from './countdown.js';
+import { configureDisplay, requestDisplay, releaseDisplay, resetDisplay } from './display.js';
+import { placeHost, stopAllPlacements } from './placement.js';
 
 // ============================================
 // Capture script element immediately (before any async)
@@ -42,6 +63,51 @@ const USE_MOCK = false;
 // Development API key fallback (only for local Vite dev, set to null for production)
 const DEV_API_KEY = null;
 
+/**
+ * Runtime options set via ToggleupSDK.configure()
+ * - analytics: false disables impression/click tracking
+ * - analyticsEndpoint: override the beacon URL (e.g. a local mock)
+ * - cooldown: minimum seconds between popups in a session
+ * - storage: "local" | "cookie" | "memory" | { type: 'cookie', domain } | host adapter
+ * - consentMode: wait for consent before persisting state, sending analytics
+ *   or loading Google Fonts (see consent.js)
+ */
+const sdkOptions = {
+    analytics: true,
+    analyticsEndpoint: null,
+    cooldown: 0,
+    storage: 'local',
+    consentMode: false
+};
+
+/**
+ * Apply the current consent to storage and analytics
+ */
+function applyConsent() {
+    setStorageConsent(hasConsent('storage'));
+    configureAnalytics({ consent: getConsentState('analytics') });
+}
+
+onConsentChange(applyConsent);
+
+// Consent mode on the script tag (data-consent-mode) applies before
+// auto-init touches any state
+if (CURRENT_SCRIPT?.hasAttribute('data-consent-mode')) {
+    sdkOptions.consentMode = true;
+    enableConsentMode();
+}
+
+// The storage backend can also be set on the script tag (data-storage="cookie")
+// so it applies before auto-init reads any visitor state
+const SCRIPT_STORAGE = CURRENT_SCRIPT?.getAttribute('data-storage');
+if (SCRIPT_STORAGE) {
+    sdkOptions.storage = SCRIPT_STORAGE;
+    configureStorage({
+        type: SCRIPT_STORAGE,
+        domain: CURRENT_SCRIPT.getAttribute('data-cookie-domain') || undefined
+    });
+}
+
 // ============================================
 // Mock Data (for development only)
 // ============================================
@@ -50,7 +116,7 @@ const MOCK_POPUP_CONFIG = {
     id: 'popup_mock_12345',
     name: 'Demo Popup',
     design: {
-        type: 'modal', // 'modal' | 'bar'
+        type: 'modal', // 'modal' | 'bar' | 'slide_in' | 'inline' | 'fullscreen'
         position: 'top', // Only for bar: 'top' | 'bottom'
         isSticky: true,
         headline: '¡Bienvenido a nuestra tienda!',
@@ -158,6 +224,11 @@ async function loadFontIfNeeded(config) {
         return; // Don't load, use whatever is available
     }
 
+    // Google Fonts is a third-party request: needs analytics consent
+    if (!hasConsent('analytics')) {
+        return; // Fallback fonts from the font stack
+    }
+
     const fontFamily = style.fontFamily;
     if (!fontFamily) {
         return; // No font specified
@@ -210,6 +281,11 @@ function getApiKey() {
 
 /**
  * Fetch popup configurations from API
+ *
+ * No `url` parameter: the response must be site-wide (every active popup,
+ * whatever the page) because it is cached and re-evaluated on SPA
+ * navigation. Page restrictions must reach the SDK as
+ * rules.targeting.urls; the API can no longer filter by page.
  */
 async function fetchPopupConfigs(apiKey) {
     if (USE_MOCK) {
@@ -222,9 +298,8 @@ async function fetchPopupConfigs(apiKey) {
     }
 
     try {
-        const currentUrl = encodeURIComponent(window.location.pathname);
         const response = await fetch(
-            `${API_BASE_URL}/popups?api_key=${apiKey}&url=${currentUrl}`,
+            `${API_BASE_URL}/popups?api_key=${apiKey}`,
             {
                 method: 'GET',
                 headers: {
@@ -251,14 +326,30 @@ async function fetchPopupConfigs(apiKey) {
 
 /**
  * Create isolated Shadow DOM container for popup
- * @param {boolean} isFixed - If false, insert at body start as inline element
- * @param {boolean} isModal - If true, create fullscreen overlay host for modal
+ * @param {string} mode - How the host sits in the page:
+ *   - "static": at body start/end, flows with content (non-fixed bar)
+ *   - "inline": not attached, placed into page content by placement.js
+ *   - "modal": fullscreen fixed overlay
+ *   - "fixed": zero-size fixed anchor, the popup positions itself (bar)
+ *   - "corner": zero-size anchor in a corner, never covers the page (slide-in)
+ * @param {string} position - Bar edge ('top' | 'bottom') or slide-in corner
+ * @param {string} popupId - Used for a unique host id (several popups may coexist)
  */
-function createPopupHost(isFixed = true, isModal = false, position = 'top') {
+function createPopupHost(mode = 'fixed', position = 'top', popupId = null) {
     const host = document.createElement('div');
-    host.id = 'toggleup-host';
+    host.id = popupId ? `toggleup-host-${popupId}` : 'toggleup-host';
+    host.setAttribute('data-toggleup-host', '');
 
-    if (!isFixed) {
+    const isModal = mode === 'modal';
+
+    if (mode === 'inline') {
+        // Inline popup: a block in the page content, attached by placeHost()
+        host.style.cssText = `
+            display: block;
+            position: relative;
+            width: 100%;
+        `;
+    } else if (mode === 'static') {
         // Inline mode: insert at very beginning or end of body, flows with content
         host.style.cssText = `
             position: relative;
@@ -283,6 +374,20 @@ function createPopupHost(isFixed = true, isModal = false, position = 'top') {
             pointer-events: none;
         `;
         document.body.appendChild(host);
+    } else if (mode === 'corner') {
+        // Slide-in mode: empty anchor in the corner, clicks pass through to the page
+        const { vertical, horizontal } = getSlideInCorner(position);
+        host.style.cssText = `
+            position: fixed;
+            ${vertical}: 0;
+            ${horizontal}: 0;
+            width: 0;
+            height: 0;
+            overflow: visible;
+            z-index: 2147483647;
+            pointer-events: none;
+        `;
+        document.body.appendChild(host);
     } else {
         // Banner mode: minimal fixed container
         host.style.cssText = `
@@ -312,6 +417,32 @@ function createPopupHost(isFixed = true, isModal = false, position = 'top') {
     return { host, shadowRoot, container };
 }
 
+/**
+ * Build the detail object shared by all popup events
+ * Every event carries the A/B variant so conversions can be compared
+ */
+function getEventDetail(config, extra = {}) {
+    return { popupId: config.id, variantId: config.variantId || null, ...extra };
+}
+
+/**
+ * Send a form submission from a popup to the API
+ * @param {Object} submission - { popupId, variantId, endpoint, fields }
+ */
+function handleFormSubmit({ popupId, variantId, endpoint, fields }) {
+    return submitForm(endpoint || `${API_BASE_URL}/submissions`, {
+        api_key: getApiKey(),
+        popup_id: popupId,
+        variant_id: variantId || null,
+        fields,
+        page_url: window.location.href
+    }).then((response) => {
+        // A submission is a conversion for stopAfterConversion caps
+        recordPopupConverted(popupId);
+        return response;
+    });
+}
+
 /**
  * Render a popup inside Shadow DOM
  * @param {boolean} isEmbedded - If true, use relative positioning (for canvas/container rendering)
@@ -322,6 +453,9 @@ function renderPopup(config, container, onClose, branding = null, isEmbedded = f
             config,
             branding,
             onClose,
+            // Embedded previews never send real submissions or events
+            onSubmit: isEmbedded ? null : (submission) => handleFormSubmit({ ...submission, variantId: config.variantId }),
+            onEvent: isEmbedded ? null : (event, detail) => emit(event, getEventDetail(config, detail)),
             isPreview: isEmbedded  // Use relative positioning when embedded
         }),
         container
@@ -349,6 +483,62 @@ function setBranding(branding) {
     globalBranding = branding;
 }
 
+/**
+ * Restores the page after lockPageScroll(), null while unlocked
+ */
+let releaseScrollLock = null;
+
+/**
+ * Lock page scrolling while a fullscreen takeover is open
+ * Fixes the body in place (overflow: hidden alone does not stop iOS
+ * Safari) and pads for the scrollbar so the page does not shift.
+ */
+function lockPageScroll() {
+    if (releaseScrollLock) return;
+
+    const { body, documentElement } = document;
+    const scrollY = window.scrollY;
+    const scrollbarWidth = window.innerWidth - documentElement.clientWidth;
+    const original = {
+        overflow: documentElement.style.overflow,
+        position: body.style.position,
+        top: body.style.top,
+        width: body.style.width,
+        paddingRight: body.style.paddingRight
+    };
+
+    documentElement.style.overflow = 'hidden';
+    body.style.position = 'fixed';
+    body.style.top = `-${scrollY}px`;
+    body.style.width = '100%';
+    if (scrollbarWidth > 0) {
+        body.style.paddingRight = `${scrollbarWidth}px`;
+    }
+
+    releaseScrollLock = (restoreScroll) => {
+        documentElement.style.overflow = original.overflow;
+        body.style.position = original.position;
+        body.style.top = original.top;
+        body.style.width = original.width;
+        body.style.paddingRight = original.paddingRight;
+
+        if (restoreScroll) {
+            window.scrollTo(0, scrollY);
+        }
+    };
+}
+
+/**
+ * Undo lockPageScroll()
+ * @param {boolean} restoreScroll - Return to where the visitor was (false on SPA navigation)
+ */
+function unlockPageScroll(restoreScroll = true) {
+    if (!releaseScrollLock) return;
+
+    releaseScrollLock(restoreScroll);
+    releaseScrollLock = null;
+}
+
 /**
  * Show a single popup with full lifecycle
  * @param {Object} config - Popup configuration
@@ -357,9 +547,6 @@ function setBranding(branding) {
  *   - branding: Branding config (falls back to global)
  */
 async function showPopup(config, options = {}) {
-    // Load font if needed (async, waits before rendering)
-    await loadFontIfNeeded(config);
-
     // Support legacy signature: showPopup(config, branding)
     const opts = (options && typeof options === 'object' && !options.nodeType)
         ? options
@@ -367,6 +554,15 @@ async function showPopup(config, options = {}) {
 
     const { target, branding } = opts;
 
+    // Apply the visitor's A/B variant (live popups only, editor previews render as-is)
+    // and fix countdown deadlines (evergreen countdowns start on this view)
+    if (!target) {
+        config = resolveCountdowns(applyVariant(config));
+    }
+
+    // Load font if needed (async, waits before rendering)
+    await loadFontIfNeeded(config);
+
     // Support both new format (flat) and legacy format (design object)
     const design = config.design || config;
 
@@ -408,16 +604,44 @@ async function showPopup(config, options = {}) {
         return { cleanup: () => wrapper.remove() };
     }
 
+    // === INLINE MODE: Placed into the host page content ===
+    if (design.type === 'inline') {
+        showInlinePopup(config, activeBranding);
+        return;
+    }
+
     // === FULLSCREEN MODE: Original behavior ===
     // Determine if banner should be fixed or inline (only for bar)
     const isFixed = isTopBar ? design.fixed !== false : true;
     const position = design.position || 'top';
 
-    const { host, container } = createPopupHost(isFixed, isModal, position);
+    const isFullscreen = design.type === 'fullscreen';
+    const isWelcomeMat = isFullscreen && design.welcomeMat === true;
+
+    let hostMode = 'fixed';
+    if (!isFixed) hostMode = 'static';
+    else if (isWelcomeMat) hostMode = 'static'; // top of the page, pushes it down
+    else if (isModal || isFullscreen) hostMode = 'modal';
+    else if (design.type === 'slide_in') hostMode = 'corner';
+
+    const { host, container } = createPopupHost(hostMode, isWelcomeMat ? 'top' : position, config.id);
 
-    // Record that popup was shown (only if rules.frequency exists - legacy format)
-    if (config.id && config.rules?.frequency) {
-        recordPopupShown(config.id, config.rules.frequency);
+    // The popup is back on screen: its launcher is not needed meanwhile
+    hideLauncher(config.id);
+
+    // Takeover: the page must not scroll underneath
+    if (isFullscreen && !isWelcomeMat && design.lockScroll !== false) {
+        lockPageScroll();
+    }
+
+    // Welcome mat: bring the top of the page (where it appears) into view
+    if (isWelcomeMat) {
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    // Record the impression for frequency caps
+    if (config.id) {
+        recordPopupShown(config.id, config.rules?.frequency);
     }
 
     // For fixed bar with pushContent, add margin to body
@@ -450,44 +674,372 @@ async function showPopup(config, options = {}) {
     }
 
     // Handle close
-    const handleClose = () => {
+    const handleClose = (reason) => {
+        emitClosed(config, reason);
+
+        // Auto-close (e.g. after a success step) and expiry are not dismissals
+        if (config.id && isDismissal(reason)) {
+            recordPopupClosed(config.id);
+        }
+
+        // Free the display slot so queued popups can appear
+        releaseDisplay(config);
+
         // Restore body margin if applicable
         if (bodyMarginCleanup) {
             bodyMarginCleanup();
         }
 
+        if (isFullscreen) {
+            unlockPageScroll();
+        }
+
         // Give time for exit animation
         setTimeout(() => {
             destroyPopup(host);
+
+            // Dismissed, not completed: leave a launcher to reopen it
+            // (not after a conversion, e.g. closing the success message)
+            if (isDismissal(reason) && hasLauncher(config) && shouldShowLauncher(config.id)) {
+                showLauncher(config);
+            }
         }, 250);
     };
 
     // Render the popup with branding
     renderPopup(config, container, handleClose, activeBranding);
+
+    emit('popup:shown', getEventDetail(config));
+}
+
+/**
+ * Check if a close reason means the visitor dismissed the popup
+ * Auto-close after completing it and countdown expiry do not
+ */
+function isDismissal(reason) {
+    return reason !== 'auto' && reason !== 'expired' && reason !== 'hidden';
+}
+
+/**
+ * Report a popup taken down: closed, or suppressed when its countdown
+ * ran out with onExpire "hide" (renderer reason 'hidden')
+ */
+function emitClosed(config, reason) {
+    if (reason === 'hidden') {
+        emit('popup:suppressed', getEventDetail(config, { reason: 'expired' }));
+    } else {
+        emit('popup:closed', getEventDetail(config, { reason }));
+    }
+}
+
+/**
+ * Show an inline popup inside the host page content (rules.placement)
+ * The impression is recorded when the host first enters the page,
+ * which may be later than now if the anchor is not rendered yet.
+ */
+function showInlinePopup(config, branding) {
+    const placement = config.rules?.placement;
+    if (!placement?.selector) {
+        console.warn(`[Toggleup] Inline popup ${config.id} needs rules.placement.selector`);
+        releaseDisplay(config);
+        return;
+    }
+
+    const { host, container } = createPopupHost('inline', null, config.id);
+    let stopPlacement = null;
+
+    const handleClose = (reason) => {
+        emitClosed(config, reason);
+
+        if (config.id && isDismissal(reason)) {
+            recordPopupClosed(config.id);
+        }
+
+        releaseDisplay(config);
+
+        // Stop re-inserting before the host is removed
+        stopPlacement?.();
+
+        setTimeout(() => {
+            destroyPopup(host);
+        }, 250);
+    };
+
+    renderPopup(config, container, handleClose, branding);
+
+    stopPlacement = placeHost(host, placement, () => {
+        if (config.id) {
+            recordPopupShown(config.id, config.rules?.frequency);
+        }
+        emit('popup:shown', getEventDetail(config));
+    });
+}
+
+// ============================================
+// Launcher (teaser that reopens a closed popup)
+// ============================================
+
+// popupId -> launcher host currently on screen
+const launcherHosts = new Map();
+
+/**
+ * Check if a popup has a launcher (design.launcher, not for inline popups)
+ */
+function hasLauncher(config) {
+    const design = config.design || config;
+    return Boolean(config.id && design.launcher && design.launcher.enabled !== false && design.type !== 'inline');
+}
+
+/**
+ * Launcher text when design.launcher.text is empty: the popup headline
+ */
+function getLauncherText(design) {
+    const headline = design.content?.headline ?? design.headline;
+    return typeof headline === 'string' ? headline : (headline?.text || '');
+}
+
+/**
+ * Show a popup's launcher; clicking it reopens the popup
+ * The popup is reopened on request, regardless of its frequency caps
+ */
+function showLauncher(config) {
+    if (launcherHosts.has(config.id)) return;
+
+    const design = config.design || config;
+    const { host, container } = createPopupHost('fixed', null, `launcher-${config.id}`);
+
+    // Below popups, so a reopened modal covers it
+    host.style.zIndex = '2147483646';
+    launcherHosts.set(config.id, host);
+
+    render(
+        h(Launcher, {
+            launcher: design.launcher,
+            text: getLauncherText(design),
+            onOpen: () => {
+                hideLauncher(config.id);
+                emit('launcher:click', getEventDetail(config));
+                requestDisplay(config, () => showPopup(config), { userInitiated: true });
+            },
+            onDismiss: () => {
+                hideLauncher(config.id);
+                recordLauncherDismissed(config.id);
+                emit('launcher:closed', getEventDetail(config));
+            }
+        }),
+        container
+    );
+
+    emit('launcher:shown', getEventDetail(config));
+}
+
+/**
+ * Remove a popup's launcher from the page
+ */
+function hideLauncher(popupId) {
+    const host = launcherHosts.get(popupId);
+    if (!host) return;
+
+    launcherHosts.delete(popupId);
+    destroyPopup(host);
 }
 
 /**
  * Process a single popup configuration
  */
-function processPopup(config) {
+function processPopup(rawConfig) {
+    // Resolve A/B variant up front so every event carries it
+    const config = applyVariant(rawConfig);
+
     // Check device targeting first (lowest cost check)
     if (config.rules?.deviceTargeting && !isDeviceAllowed(config.rules.deviceTargeting)) {
+        emit('popup:suppressed', getEventDetail(config, { reason: 'device' }));
         return null; // Skip this popup for this device
     }
 
+    // Check schedule window before setting up triggers
+    if (!isWithinSchedule(config.rules?.schedule)) {
+        emit('popup:suppressed', getEventDetail(config, { reason: 'schedule' }));
+        return null; // Outside the display window
+    }
+
+    // Countdown ran out (onExpire "hide" or "close"): the offer is over
+    if (isCountdownExpired(config)) {
+        emit('popup:suppressed', getEventDetail(config, { reason: 'expired' }));
+        return null;
+    }
+
+    // Check page URL, audience and visitor attribute targeting
+    if (!isTargetingMatch(config)) {
+        targetingSuppressedIds.add(config.id);
+        emit('popup:suppressed', getEventDetail(config, { reason: 'targeting' }));
+        return null; // Skip this popup for this page/visitor
+    }
+
+    // A popup closed earlier (maybe on another page) keeps its launcher
+    // until the visitor dismisses it or converts
+    if (hasLauncher(config) && shouldShowLauncher(config.id)) {
+        showLauncher(config);
+    }
+
     // Check frequency cap
     if (!shouldShowPopup(config.id, config.rules.frequency)) {
+        emit('popup:suppressed', getEventDetail(config, { reason: 'frequency' }));
         return null; // Skip this popup
     }
 
-    // Set up trigger
-    const cleanup = setupTrigger(config.rules.trigger, () => {
-        showPopup(config);
+    // Set up trigger (inline popups usually have none: show once placed)
+    const cleanup = setupTrigger(config.rules.trigger || { type: 'immediate' }, () => {
+        if (!isStillEligible(config)) return;
+
+        emit('popup:triggered', getEventDetail(config));
+
+        // Wait for a free slot: one modal at a time, queued by priority.
+        // Checked again when the slot frees up, it may wait a long time
+        requestDisplay(config, () => showPopup(config), {
+            canShow: () => isStillEligible(config)
+        });
     });
 
     return cleanup;
 }
 
+/**
+ * Re-check what may change after a popup was armed: schedule window,
+ * countdown expiry, URL and attribute targeting
+ * @returns {boolean}
+ */
+function isStillEligible(config) {
+    if (!isWithinSchedule(config.rules?.schedule)) {
+        emit('popup:suppressed', getEventDetail(config, { reason: 'schedule' }));
+        return false;
+    }
+
+    if (isCountdownExpired(config)) {
+        emit('popup:suppressed', getEventDetail(config, { reason: 'expired' }));
+        return false;
+    }
+
+    if (!isTargetingMatch(config)) {
+        suppressForTargeting(config);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Check page URL, audience and custom attribute targeting
+ */
+function isTargetingMatch(config) {
+    const targeting = config.rules?.targeting;
+    if (!targeting) return true;
+
+    const context = getVisitorContext();
+
+    return isUrlAllowed(targeting.urls)
+        && matchesAudience(targeting.audience, context)
+        && matchesAttributes(targeting.attributes, context);
+}
+
+/**
+ * Site-wide config response from the last init(), re-evaluated on SPA navigation
+ */
+let cachedConfigs = null;
+
+/**
+ * Popups with armed triggers (id -> trigger cleanup), and popups skipped
+ * by targeting on this page. Attribute and query/hash changes re-evaluate
+ * the skipped ones.
+ */
+const armedPopups = new Map();
+const targetingSuppressedIds = new Set();
+
+/**
+ * Arm a single popup and keep its cleanup for SPA navigation
+ */
+function armPopup(config) {
+    const cleanup = processPopup(config);
+    if (!cleanup) return;
+
+    // The trigger fired during setup and targeting no longer matched
+    if (targetingSuppressedIds.has(config.id)) {
+        cleanup();
+        return;
+    }
+
+    armedPopups.set(config.id, cleanup);
+    window.__toggleupCleanups.push(cleanup);
+}
+
+/**
+ * Cancel an armed popup's trigger
+ */
+function disarmPopup(popupId) {
+    const cleanup = armedPopups.get(popupId);
+    if (!cleanup) return;
+
+    armedPopups.delete(popupId);
+    try { cleanup(); } catch (e) { /* silent */ }
+}
+
+/**
+ * Skip a popup until its targeting matches again (re-armed by
+ * reevaluatePendingPopups)
+ */
+function suppressForTargeting(config) {
+    disarmPopup(config.id);
+    targetingSuppressedIds.add(config.id);
+    emit('popup:suppressed', getEventDetail(config, { reason: 'targeting' }));
+}
+
+/**
+ * Evaluate configs against the current page and arm their triggers
+ */
+function processConfigs(configs) {
+    // Store cleanups for SPA navigation
+    window.__toggleupCleanups = [];
+    armedPopups.clear();
+    targetingSuppressedIds.clear();
+
+    // Process all popups that pass targeting and frequency checks
+    configs.forEach(armPopup);
+}
+
+/**
+ * Re-check URL targeting after a query string or hash change
+ * Armed popups that no longer match are disarmed, skipped ones that now
+ * match are armed. Popups on screen stay.
+ */
+function reevaluateUrlTargeting() {
+    if (!cachedConfigs) return;
+
+    cachedConfigs
+        .filter(config => armedPopups.has(config.id))
+        .map(applyVariant)
+        .filter(config => !isTargetingMatch(config))
+        .forEach(suppressForTargeting);
+
+    reevaluatePendingPopups();
+}
+
+/**
+ * Re-evaluate popups skipped by targeting (no re-fetch)
+ */
+function reevaluatePendingPopups() {
+    if (!cachedConfigs) return;
+
+    cachedConfigs
+        .filter(config => targetingSuppressedIds.has(config.id) && !armedPopups.has(config.id))
+        .forEach((config) => {
+            targetingSuppressedIds.delete(config.id);
+            armPopup(config);
+        });
+}
+
+// Set once init() starts touching visitor state (page view, storage)
+let hasInitialized = false;
+
 /**
  * Initialize the SDK
  */
@@ -499,6 +1051,17 @@ async function init() {
         return;
     }
 
+    hasInitialized = true;
+
+    // Count this page view (session, referrer and UTM are captured on landing)
+    recordPageView();
+
+    configureAnalytics({
+        enabled: sdkOptions.analytics,
+        endpoint: sdkOptions.analyticsEndpoint || `${API_BASE_URL}/events`,
+        apiKey
+    });
+
     // Fetch popup configurations
     const configs = await fetchPopupConfigs(apiKey);
 
@@ -506,25 +1069,120 @@ async function init() {
         return;
     }
 
-    // Process all popups that pass frequency checks
-    const cleanups = [];
+    cachedConfigs = configs;
 
-    for (const config of configs) {
-        const cleanup = processPopup(config);
-        if (cleanup) {
-            cleanups.push(cleanup);
-        }
+    processConfigs(configs);
+}
+
+// ============================================
+// Analytics
+// ============================================
+
+/**
+ * Forward live popup events to the analytics queue.
+ * Embedded/preview popups don't emit events, so they are never tracked.
+ */
+function setupAnalytics() {
+    on('popup:shown', ({ popupId, variantId }) => trackEvent('impression', { popupId, variantId }));
+    on('button:click', ({ popupId, variantId, index, action }) => trackEvent('click', { popupId, variantId, button: index, action }));
+    on('popup:closed', ({ popupId, variantId, reason }) => trackEvent('close', { popupId, variantId, reason }));
+    on('launcher:click', ({ popupId, variantId }) => trackEvent('launcher_click', { popupId, variantId }));
+    // Field values are never sent to analytics
+    on('form:submit', ({ popupId, variantId }) => trackEvent('submit', { popupId, variantId }));
+}
+
+setupAnalytics();
+
+/**
+ * Configure SDK runtime options
+ * consentMode only gates what happens next: to keep the page view out of
+ * storage too, set it on the script tag or before a manual init()
+ *
+ * @param {Object} options - { analytics, analyticsEndpoint, cooldown, storage, consentMode }
+ */
+function configure(options = {}) {
+    if (options.consentMode && !sdkOptions.consentMode && hasInitialized) {
+        console.warn('[Toggleup] consentMode enabled after init: this page view was already stored. Use data-consent-mode, or data-manual with configure() before init()');
     }
 
-    // Store cleanups for SPA navigation
-    window.__toggleupCleanups = cleanups;
+    Object.assign(sdkOptions, options);
+
+    if (options.consentMode) {
+        enableConsentMode();
+    }
+
+    if (options.storage) {
+        configureStorage(options.storage);
+    }
+
+    configureAnalytics({
+        enabled: sdkOptions.analytics,
+        endpoint: sdkOptions.analyticsEndpoint
+    });
+    configureDisplay({ cooldown: sdkOptions.cooldown });
+}
+
+// ============================================
+// Visitor Attributes
+// ============================================
+
+/**
+ * Identify the visitor and optionally set attributes
+ * @param {string} userId - Host site user id
+ * @param {Object} attributes - Optional custom attributes
+ */
+function identify(userId, attributes = {}) {
+    setVisitorAttributes({ ...attributes, userId });
+}
+
+/**
+ * Set custom visitor attributes (persisted for the session)
+ * Re-evaluates popups that were waiting on targeting
+ * @param {Object} attributes - e.g. { plan: 'pro', cartValue: 120 }
+ */
+function setVisitorAttributes(attributes) {
+    setAttributes(attributes);
+    reevaluatePendingPopups();
+}
+
+// ============================================
+// Custom Events
+// ============================================
+
+/**
+ * Report a host event, e.g. track('added_to_cart', { value: 120 })
+ * Fires popups armed with a matching custom_event trigger
+ * @param {string} event - Event name
+ * @param {Object} properties - Optional event properties
+ */
+function track(event, properties = {}) {
+    if (!event) return;
+    emit('track', { event, properties });
 }
 
 // ============================================
 // SPA Navigation Support
 // ============================================
 
-let currentPath = typeof window !== 'undefined' ? window.location.pathname : '/';
+/**
+ * Path, query and hash: any of them can change URL targeting results
+ */
+function getLocationKey() {
+    return window.location.pathname + window.location.search + window.location.hash;
+}
+
+/**
+ * Current page for navigation purposes: the pathname, plus the hash when a
+ * hash router uses it as a path ("#/pricing"). In-page anchors ("#pricing")
+ * and query strings are not a new page.
+ */
+function getPageKey() {
+    const { pathname, hash } = window.location;
+    return /^#!?\//.test(hash) ? pathname + hash : pathname;
+}
+
+let currentPath = typeof window !== 'undefined' ? getPageKey() : '/';
+let currentLocation = typeof window !== 'undefined' ? getLocationKey() : '/';
 let navigationDebounceTimer = null;
 
 /**
@@ -540,8 +1198,20 @@ function cleanupAllPopups() {
             window.__toggleupCleanups = [];
         }
 
+        // Forget queued and visible popups
+        resetDisplay();
+
+        // Stop inline popups from re-inserting themselves
+        stopAllPlacements();
+
+        // A takeover removed by navigation must not leave the page locked
+        unlockPageScroll(false);
+
+        // Launcher hosts are removed with the popup hosts below
+        launcherHosts.clear();
+
         // Remove popup hosts from DOM
-        document.querySelectorAll('#toggleup-host').forEach(el => {
+        document.querySelectorAll('[data-toggleup-host]').forEach(el => {
             try { el.remove(); } catch (e) { /* silent */ }
         });
     } catch (e) {
@@ -554,15 +1224,31 @@ function cleanupAllPopups() {
  */
 async function handleNavigation() {
     try {
-        const newPath = window.location.pathname;
-        if (newPath === currentPath) return; // No actual change
+        const newLocation = getLocationKey();
+        if (newLocation === currentLocation) return; // No actual change
+
+        currentLocation = newLocation;
+
+        // Same page, other query string or hash: keep what is on screen,
+        // pending triggers and the page view count
+        const newPath = getPageKey();
+        if (newPath === currentPath) {
+            reevaluateUrlTargeting();
+            return;
+        }
 
         currentPath = newPath;
 
         // Cleanup existing popups
         cleanupAllPopups();
 
-        // Re-fetch and process for new URL
+        // Re-evaluate the cached site config for the new URL (no network round-trip)
+        if (cachedConfigs) {
+            recordPageView();
+            processConfigs(cachedConfigs);
+            return;
+        }
+
         await init();
     } catch (e) {
         console.warn('[Toggleup] Navigation handler error:', e.message);
@@ -602,6 +1288,9 @@ function setupSPAListener() {
 
         // Listen for back/forward browser buttons
         window.addEventListener('popstate', debouncedNavigation);
+
+        // Hash-based routers don't use the History API
+        window.addEventListener('hashchange', debouncedNavigation);
     } catch (e) {
         // If patching fails, SDK still works for initial page load
         console.warn('[Toggleup] SPA listener setup failed:', e.message);
@@ -647,7 +1336,7 @@ async function showPopupById(id) {
     const configs = await getConfigs();
     const popup = configs.find(c => c.id === id);
     if (popup) {
-        showPopup(popup);
+        requestDisplay(popup, () => showPopup(popup));
         return true;
     }
     console.warn(`[Toggleup] Popup with id "${id}" not found`);
@@ -664,9 +1353,32 @@ window.ToggleupSDK = {
     showPopupById,
     setBranding,
     getApiKey,
-    getConfigs
+    getConfigs,
+    configure,
+    identify,
+    setAttributes: setVisitorAttributes,
+    track,
+    setConsent,
+    on,
+    off,
+    once
 };
 
 // Export for ES modules/testing
-export { init, showPopup, showPopupById, setBranding, getApiKey, getConfigs };
+export {
+    init,
+    showPopup,
+    showPopupById,
+    setBranding,
+    getApiKey,
+    getConfigs,
+    configure,
+    identify,
+    setVisitorAttributes as setAttributes,
+    track,
+    setConsent,
+    on,
+    off,
+    once
+};
 
@@ -0,0 +1,129 @@
+/**
+ * Placement - Puts inline popups inside the host page content
+ *
+ * rules.placement example:
+ * {
+ *   selector: 'article .post-body > p:nth-of-type(3)',
+ *   position: 'after'   // "before" | "after" | "prepend" | "append" | "replace"
+ * }
+ *
+ * "replace" hides the anchor (display: none) instead of removing it, so a
+ * framework that owns the anchor can still reconcile it; it is shown again
+ * when the popup goes away.
+ *
+ * The page is observed while the popup is alive: if the anchor is not there
+ * yet (SPA still rendering) or gets re-rendered, the host is (re)inserted
+ * next to the current anchor. The same host node is moved, so the popup
+ * keeps its state and Shadow DOM.
+ */
+
+const POSITIONS = ['before', 'after', 'prepend', 'append', 'replace'];
+
+// Stop functions of placements currently watching the page
+const activePlacements = new Set();
+
+/**
+ * Insert the host relative to the anchor
+ */
+function insertHost(host, anchor, position) {
+    switch (position) {
+        case 'before':
+        case 'replace':
+            anchor.parentNode.insertBefore(host, anchor);
+            break;
+        case 'prepend':
+            anchor.insertBefore(host, anchor.firstChild);
+            break;
+        case 'append':
+            anchor.appendChild(host);
+            break;
+        case 'after':
+        default:
+            anchor.parentNode.insertBefore(host, anchor.nextSibling);
+    }
+}
+
+/**
+ * Place a popup host in the page and keep it there
+ *
+ * @param {HTMLElement} host - Popup host from createPopupHost('inline')
+ * @param {Object} placement - rules.placement (see module docs)
+ * @param {Function} onFirstPlaced - Called once, when the host first enters the page
+ * @returns {Function} Stop watching (restores a replaced anchor)
+ */
+export function placeHost(host, placement, onFirstPlaced) {
+    const position = POSITIONS.includes(placement.position) ? placement.position : 'after';
+
+    let anchor = null;
+    let hiddenAnchor = null;
+    let hiddenAnchorDisplay = '';
+    let hasPlaced = false;
+    let observer = null;
+
+    const restoreAnchor = () => {
+        if (!hiddenAnchor) return;
+        hiddenAnchor.style.display = hiddenAnchorDisplay;
+        hiddenAnchor = null;
+    };
+
+    const isPlaced = () => {
+        if (!anchor || !anchor.isConnected || !host.isConnected) return false;
+
+        return position === 'prepend' || position === 'append'
+            ? host.parentNode === anchor
+            : host.parentNode === anchor.parentNode;
+    };
+
+    const stop = () => {
+        observer?.disconnect();
+        restoreAnchor();
+        activePlacements.delete(stop);
+    };
+
+    const place = () => {
+        if (isPlaced()) return;
+
+        let nextAnchor;
+        try {
+            nextAnchor = document.querySelector(placement.selector);
+        } catch (e) {
+            console.warn(`[Toggleup] Invalid placement selector: ${placement.selector}`);
+            stop();
+            return;
+        }
+
+        // Anchor not rendered yet - keep watching
+        if (!nextAnchor || !nextAnchor.parentNode) return;
+
+        anchor = nextAnchor;
+        insertHost(host, anchor, position);
+
+        if (position === 'replace' && hiddenAnchor !== anchor) {
+            restoreAnchor();
+            hiddenAnchor = anchor;
+            hiddenAnchorDisplay = anchor.style.display;
+            anchor.style.display = 'none';
+        }
+
+        // Re-insertions after a re-render are the same impression
+        if (!hasPlaced) {
+            hasPlaced = true;
+            onFirstPlaced?.();
+        }
+    };
+
+    observer = new MutationObserver(place);
+    observer.observe(document.body, { childList: true, subtree: true });
+    activePlacements.add(stop);
+
+    place();
+
+    return stop;
+}
+
+/**
+ * Stop all placements (SPA navigation)
+ */
+export function stopAllPlacements() {
+    Array.from(activePlacements).forEach(stop => stop());
+}
@@ -0,0 +1,163 @@
+/**
+ * Scheduling - Decides WHEN (calendar-wise) a popup may be shown
+ *
+ * rules.schedule example:
+ * {
+ *   start: '2026-11-27T00:00',      // inclusive, in `timezone` unless an offset is given
+ *   end: '2026-11-30T23:59',        // exclusive
+ *   days: ['fri', 'sat', 'sun'],    // or 0-6 (0 = Sunday)
+ *   hours: [{ from: '09:00', to: '21:00' }],  // ranges may cross midnight
+ *   timezone: 'Europe/Madrid'       // IANA name, defaults to the visitor's timezone
+ * }
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Get calendar parts of a date in a timezone
+ * @returns {{ year, month, day, hour, minute, second, weekday }}
+ */
+function getZonedParts(date, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short',
+        hourCycle: 'h23'
+    });
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+    };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getTimezoneOffset(timestamp, timeZone) {
+    const p = getZonedParts(new Date(timestamp), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Parse a schedule datetime into a timestamp
+ * Datetimes without an offset ("2026-11-27T09:00") are read in `timeZone`,
+ * or in the visitor's local time when no timezone is configured
+ */
+export function parseDateTime(value, timeZone) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') return value;
+
+    const hasOffset = /([zZ]|[+-]\d{2}:?\d{2})$/.test(value);
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+
+    if (hasOffset || !match) {
+        return new Date(value).getTime();
+    }
+
+    const [, y, mo, d, h = '0', mi = '0', s = '0'] = match;
+
+    // No timezone configured: use the visitor's local time
+    if (!timeZone) {
+        return new Date(+y, +mo - 1, +d, +h, +mi, +s).getTime();
+    }
+
+    const guess = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+
+    // Correct twice so DST transitions resolve to the right offset
+    const first = guess - getTimezoneOffset(guess, timeZone);
+    return guess - getTimezoneOffset(first, timeZone);
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+function toMinutes(time) {
+    const [h, m = 0] = String(time).split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Check if a minute-of-day falls inside a range (ranges may cross midnight)
+ */
+function isInHourRange(minutes, range) {
+    const from = toMinutes(range.from ?? '00:00');
+    const to = toMinutes(range.to ?? '24:00');
+
+    return from <= to
+        ? minutes >= from && minutes < to
+        : minutes >= from || minutes < to;
+}
+
+/**
+ * Check if a popup's schedule allows showing it now
+ *
+ * @param {Object} schedule - rules.schedule (see module docs)
+ * @param {Date} now - Defaults to the current time
+ * @returns {boolean}
+ */
+export function isWithinSchedule(schedule, now = new Date()) {
+    if (!schedule) return true; // No schedule = always
+
+    const timeZone = schedule.timezone || undefined;
+    const timestamp = now.getTime();
+
+    try {
+        // Unparseable dates give NaN, which every comparison would let through
+        const parseBoundary = (value) => {
+            const parsed = parseDateTime(value, timeZone);
+            if (Number.isNaN(parsed)) throw new Error(`Invalid date: ${value}`);
+            return parsed;
+        };
+
+        if (schedule.start && timestamp < parseBoundary(schedule.start)) {
+            return false;
+        }
+        if (schedule.end && timestamp >= parseBoundary(schedule.end)) {
+            return false;
+        }
+
+        const parts = getZonedParts(now, timeZone);
+
+        if (Array.isArray(schedule.days) && schedule.days.length > 0) {
+            const allowedDays = schedule.days.map(day => (
+                typeof day === 'number' ? day : WEEKDAYS.indexOf(String(day).slice(0, 3).toLowerCase())
+            ));
+            if (!allowedDays.includes(parts.weekday)) {
+                return false;
+            }
+        }
+
+        const hours = schedule.hours
+            ? (Array.isArray(schedule.hours) ? schedule.hours : [schedule.hours])
+            : [];
+        if (hours.length > 0) {
+            const minutes = parts.hour * 60 + parts.minute;
+            if (!hours.some(range => isInHourRange(minutes, range))) {
+                return false;
+            }
+        }
+
+        return true;
+    } catch (e) {
+        // Invalid timezone or date in config - don't show outside a known window
+        console.warn('[Toggleup] Invalid schedule:', e.message);
+        return false;
+    }
+}
@@ -0,0 +1,360 @@
+/**
+ * Storage - Where frequency and visitor state is kept
+ *
+ * State lives in two scopes:
+ * - persistent: frequency records, visitor id, session count
+ * - session: the current visit (referrer, UTM, page views) and attributes
+ *
+ * Adapters (ToggleupSDK.configure({ storage })):
+ * - "local" (default): localStorage / sessionStorage
+ * - "cookie" or { type: 'cookie', domain, days }: first-party cookies on the
+ *   top-level domain, so shop.example.com and www.example.com share caps
+ * - "memory": nothing outlives the page load
+ * - a host object { getItem, setItem, removeItem, keys?, session? }; the
+ *   session scope uses `session` if given, sessionStorage otherwise
+ *
+ * Every adapter is wrapped so a failing backend (private browsing, quota,
+ * a throwing host adapter) degrades to memory instead of breaking the SDK.
+ *
+ * Without storage consent (consent mode) the SDK uses memory only; the
+ * configured backend is applied once consent is granted.
+ */
+
+export const STORAGE_PREFIX = 'popups_dev_';
+
+// One flag per scope: cookie adapters of both scopes share document.cookie
+const MIGRATED_KEYS = {
+    persistent: `${STORAGE_PREFIX}storage_migrated`,
+    session: `${STORAGE_PREFIX}storage_migrated_session`
+};
+const COOKIE_TEST_KEY = `${STORAGE_PREFIX}cookie_test`;
+const DEFAULT_COOKIE_DAYS = 365;
+
+// ============================================
+// Adapters
+// ============================================
+
+/**
+ * In-memory adapter (lives for this page load only)
+ */
+function createMemoryAdapter() {
+    const items = new Map();
+
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: (key) => { items.delete(key); },
+        keys: () => Array.from(items.keys())
+    };
+}
+
+/**
+ * Adapter over window.localStorage / window.sessionStorage
+ * The store is resolved on each call: merely accessing it can throw
+ */
+function createWebStorageAdapter(getStore) {
+    return {
+        getItem: key => getStore().getItem(key),
+        setItem: (key, value) => getStore().setItem(key, value),
+        removeItem: key => getStore().removeItem(key),
+        keys: () => {
+            const store = getStore();
+            const keys = [];
+            for (let i = 0; i < store.length; i++) {
+                keys.push(store.key(i));
+            }
+            return keys;
+        }
+    };
+}
+
+/**
+ * Find the widest domain a cookie can be set on ("example.com" for
+ * "shop.example.com"). Browsers reject public suffixes like "co.uk",
+ * so the first candidate that sticks is the registrable domain.
+ */
+function detectCookieDomain() {
+    const parts = window.location.hostname.split('.');
+
+    // localhost and IP addresses: host-only cookies
+    if (parts.length < 2 || /^\d+$/.test(parts[parts.length - 1])) {
+        return '';
+    }
+
+    for (let i = parts.length - 2; i >= 0; i--) {
+        const candidate = parts.slice(i).join('.');
+        document.cookie = `${COOKIE_TEST_KEY}=1; path=/; domain=${candidate}`;
+
+        if (document.cookie.includes(`${COOKIE_TEST_KEY}=1`)) {
+            document.cookie = `${COOKIE_TEST_KEY}=; max-age=0; path=/; domain=${candidate}`;
+            return candidate;
+        }
+    }
+
+    return '';
+}
+
+/**
+ * First-party cookie adapter
+ *
+ * @param {Object} options
+ * @param {string} options.domain - Cookie domain (default: auto-detected top-level domain)
+ * @param {number} options.days - Lifetime of persistent cookies
+ * @param {boolean} options.session - Session cookies (no expiry)
+ */
+function createCookieAdapter({ domain, days = DEFAULT_COOKIE_DAYS, session = false } = {}) {
+    let cookieDomain = domain;
+
+    const getAttributes = () => {
+        if (cookieDomain === undefined) {
+            cookieDomain = detectCookieDomain();
+        }
+
+        let attributes = '; path=/; SameSite=Lax';
+        if (cookieDomain) attributes += `; domain=${cookieDomain}`;
+        if (window.location.protocol === 'https:') attributes += '; Secure';
+        return attributes;
+    };
+
+    const readCookies = () => document.cookie
+        .split(';')
+        .map(cookie => cookie.trim())
+        .filter(Boolean)
+        .map((cookie) => {
+            const index = cookie.indexOf('=');
+            return [decodeURIComponent(cookie.slice(0, index)), cookie.slice(index + 1)];
+        });
+
+    return {
+        getItem(key) {
+            const cookie = readCookies().find(([name]) => name === key);
+            return cookie ? decodeURIComponent(cookie[1]) : null;
+        },
+        setItem(key, value) {
+            const expiry = session ? '' : `; max-age=${Math.round(days * 24 * 60 * 60)}`;
+            document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}${expiry}${getAttributes()}`;
+        },
+        removeItem(key) {
+            document.cookie = `${encodeURIComponent(key)}=; max-age=0${getAttributes()}`;
+        },
+        keys: () => readCookies().map(([name]) => name)
+    };
+}
+
+/**
+ * Wrap an adapter so failures fall back to memory
+ * Writes are mirrored in memory so reads stay consistent for the page load
+ */
+function withMemoryFallback(adapter, name) {
+    const memory = createMemoryAdapter();
+    let hasWarned = false;
+
+    const fail = (e) => {
+        if (hasWarned) return;
+        hasWarned = true;
+        console.warn(`[Toggleup] ${name} storage unavailable, using memory:`, e.message);
+    };
+
+    return {
+        getItem(key) {
+            try {
+                return adapter.getItem(key) ?? memory.getItem(key);
+            } catch (e) {
+                fail(e);
+                return memory.getItem(key);
+            }
+        },
+        setItem(key, value) {
+            memory.setItem(key, value);
+            try {
+                adapter.setItem(key, String(value));
+            } catch (e) {
+                fail(e);
+            }
+        },
+        removeItem(key) {
+            memory.removeItem(key);
+            try {
+                adapter.removeItem(key);
+            } catch (e) {
+                fail(e);
+            }
+        },
+        keys() {
+            try {
+                const keys = adapter.keys ? adapter.keys() : [];
+                return Array.from(new Set([...keys, ...memory.keys()]));
+            } catch (e) {
+                fail(e);
+                return memory.keys();
+            }
+        }
+    };
+}
+
+// ============================================
+// Configuration
+// ============================================
+
+const browserStores = {
+    persistent: withMemoryFallback(createWebStorageAdapter(() => window.localStorage), 'localStorage'),
+    session: withMemoryFallback(createWebStorageAdapter(() => window.sessionStorage), 'sessionStorage')
+};
+
+let stores = browserStores;
+
+// Backend chosen via configureStorage(), applied while consent allows
+let preferredOption = 'local';
+let hasStorageConsent = true;
+
+function createMemoryStores() {
+    return {
+        persistent: createMemoryAdapter(),
+        session: createMemoryAdapter()
+    };
+}
+
+/**
+ * Build the persistent/session pair for a storage option
+ */
+function createStores(option) {
+    const type = typeof option === 'string' ? option : option.type;
+
+    if (type === 'local') {
+        return browserStores;
+    }
+
+    if (type === 'memory') {
+        return createMemoryStores();
+    }
+
+    if (type === 'cookie') {
+        const options = typeof option === 'object' ? option : {};
+        return {
+            persistent: withMemoryFallback(createCookieAdapter(options), 'Cookie'),
+            session: withMemoryFallback(createCookieAdapter({ ...options, session: true }), 'Cookie')
+        };
+    }
+
+    if (typeof option.getItem === 'function' && typeof option.setItem === 'function') {
+        return {
+            persistent: withMemoryFallback(option, 'Custom'),
+            session: option.session ? withMemoryFallback(option.session, 'Custom session') : browserStores.session
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Copy popups_dev_* keys the target does not have yet
+ */
+function copyMissingKeys(source, target) {
+    source.keys()
+        .filter(key => key && key.startsWith(STORAGE_PREFIX) && !Object.values(MIGRATED_KEYS).includes(key))
+        .forEach((key) => {
+            if (target.getItem(key) === null) {
+                target.setItem(key, source.getItem(key));
+            }
+        });
+}
+
+/**
+ * Copy existing popups_dev_* keys from localStorage/sessionStorage into
+ * a new backend, so visitors who already saw or dismissed popups keep
+ * their caps. Runs once per backend and scope; existing keys are never
+ * overwritten.
+ *
+ * @param {string} scope - "persistent" | "session"
+ */
+function migrateFromBrowserStorage(target, source, scope) {
+    const migratedKey = MIGRATED_KEYS[scope];
+    if (target === source || target.getItem(migratedKey)) return;
+
+    copyMissingKeys(source, target);
+    target.setItem(migratedKey, '1');
+}
+
+/**
+ * Switch to a backend
+ * @param {Object} carryOver - Stores whose state the new backend should keep
+ */
+function activateStores(next, option, carryOver = null) {
+    // Memory mode must not read what the browser already stores
+    const type = typeof option === 'string' ? option : option.type;
+    if (type !== 'memory') {
+        migrateFromBrowserStorage(next.persistent, browserStores.persistent, 'persistent');
+        migrateFromBrowserStorage(next.session, browserStores.session, 'session');
+    }
+
+    if (carryOver) {
+        copyMissingKeys(carryOver.persistent, next.persistent);
+        copyMissingKeys(carryOver.session, next.session);
+    }
+
+    stores = next;
+}
+
+/**
+ * Choose the storage backend
+ *
+ * @param {string|Object} option - "local" | "cookie" | "memory" |
+ *   { type: 'cookie', domain, days } | host adapter object
+ */
+export function configureStorage(option) {
+    if (!option) return;
+
+    const next = createStores(option);
+    if (!next) {
+        console.warn('[Toggleup] Unknown storage option:', option);
+        return;
+    }
+
+    preferredOption = option;
+
+    // Applied once consent is granted
+    if (!hasStorageConsent) return;
+
+    activateStores(next, option);
+}
+
+/**
+ * Allow or stop persisting state (consent mode)
+ * Without consent the SDK keeps state in memory for the page load;
+ * on grant, that state is carried into the configured backend.
+ *
+ * @param {boolean} granted
+ */
+export function setStorageConsent(granted) {
+    if (granted === hasStorageConsent) return;
+
+    if (granted) {
+        hasStorageConsent = true;
+        // Keep what this page recorded in memory before consent
+        activateStores(createStores(preferredOption), preferredOption, stores);
+        return;
+    }
+
+    // Consent withdrawn: stop writing, keep this page's state in memory
+    hasStorageConsent = false;
+    const memoryStores = createMemoryStores();
+    copyMissingKeys(stores.persistent, memoryStores.persistent);
+    copyMissingKeys(stores.session, memoryStores.session);
+    stores = memoryStores;
+}
+
+/**
+ * Store that survives sessions
+ * @returns {{ getItem, setItem, removeItem, keys }}
+ */
+export function getPersistentStore() {
+    return stores.persistent;
+}
+
+/**
+ * Store for the current browser session
+ * @returns {{ getItem, setItem, removeItem, keys }}
+ */
+export function getSessionStore() {
+    return stores.session;
+}
@@ -0,0 +1,237 @@
+/**
+ * Targeting - Decides WHERE and to WHOM a popup may be shown
+ *
+ * Rules are evaluated client-side so one cached config response per site
+ * can be re-evaluated on every SPA navigation without a network round-trip.
+ */
+
+/**
+ * Get the part of the current URL a rule matches against
+ * @param {string} part - "path" | "query" | "hash" | "url"
+ */
+function getUrlPart(part, location) {
+    switch (part) {
+        case 'query':
+            return location.search.replace(/^\?/, '');
+        case 'hash':
+            return location.hash.replace(/^#/, '');
+        case 'url':
+            return location.href;
+        case 'path':
+        default:
+            return location.pathname;
+    }
+}
+
+/**
+ * Convert a glob pattern to a RegExp
+ * "*" matches any characters, "?" matches a single character
+ */
+function globToRegExp(glob) {
+    const source = glob
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check a single URL rule against the current location
+ *
+ * @param {Object|string} rule - Rule object, or a string (glob on path)
+ * @param {string} rule.match - "exact" | "prefix" | "contains" | "glob" | "regex"
+ * @param {string} rule.value - Value to match
+ * @param {string} rule.part - "path" | "query" | "hash" | "url" (default: "path")
+ * @param {Location} location - Defaults to window.location
+ * @returns {boolean}
+ */
+export function matchesUrlRule(rule, location = window.location) {
+    const { match = 'exact', value = '', part = 'path' } = typeof rule === 'string'
+        ? { match: 'glob', value: rule }
+        : rule;
+
+    const target = getUrlPart(part, location);
+
+    try {
+        switch (match) {
+            case 'exact':
+                return target === value;
+            case 'prefix':
+                return target.startsWith(value);
+            case 'contains':
+                return target.includes(value);
+            case 'glob':
+                return globToRegExp(value).test(target);
+            case 'regex':
+                return new RegExp(value).test(target);
+            default:
+                console.warn(`[Toggleup] Unknown URL match type: ${match}`);
+                return false;
+        }
+    } catch (e) {
+        // Invalid regex in config - treat as no match
+        console.warn('[Toggleup] Invalid URL rule:', e.message);
+        return false;
+    }
+}
+
+/**
+ * Check if the popup is allowed on the current URL
+ *
+ * @param {Object} urlRules - rules.targeting.urls
+ * @param {Array} urlRules.include - Show only if any rule matches (empty = all pages)
+ * @param {Array} urlRules.exclude - Never show if any rule matches
+ * @param {Location} location - Defaults to window.location
+ * @returns {boolean}
+ */
+export function isUrlAllowed(urlRules, location = window.location) {
+    if (!urlRules) return true; // No rules = allow all pages
+
+    const include = urlRules.include || [];
+    const exclude = urlRules.exclude || [];
+
+    if (exclude.some(rule => matchesUrlRule(rule, location))) {
+        return false;
+    }
+
+    if (include.length > 0) {
+        return include.some(rule => matchesUrlRule(rule, location));
+    }
+
+    return true;
+}
+
+// ============================================
+// Audience conditions (AND/OR groups)
+// ============================================
+
+/**
+ * Compare a visitor value against a condition value
+ *
+ * @param {*} actual - Value from the visitor context
+ * @param {string} operator - "equals" | "not_equals" | "contains" | "not_contains" |
+ *                            "starts_with" | "gt" | "gte" | "lt" | "lte" | "exists" | "not_exists"
+ * @param {*} expected - Value from the config
+ * @returns {boolean}
+ */
+export function compareValues(actual, operator, expected) {
+    const isEmpty = actual === undefined || actual === null || actual === '';
+
+    switch (operator) {
+        case 'exists':
+            return !isEmpty;
+        case 'not_exists':
+            return isEmpty;
+        case 'equals':
+            return String(actual ?? '').toLowerCase() === String(expected ?? '').toLowerCase();
+        case 'not_equals':
+            return String(actual ?? '').toLowerCase() !== String(expected ?? '').toLowerCase();
+        case 'contains':
+            return !isEmpty && String(actual).toLowerCase().includes(String(expected).toLowerCase());
+        case 'not_contains':
+            return isEmpty || !String(actual).toLowerCase().includes(String(expected).toLowerCase());
+        case 'starts_with':
+            return !isEmpty && String(actual).toLowerCase().startsWith(String(expected).toLowerCase());
+        case 'gt':
+            return !isEmpty && Number(actual) > Number(expected);
+        case 'gte':
+            return !isEmpty && Number(actual) >= Number(expected);
+        case 'lt':
+            return !isEmpty && Number(actual) < Number(expected);
+        case 'lte':
+            return !isEmpty && Number(actual) <= Number(expected);
+        default:
+            console.warn(`[Toggleup] Unknown condition operator: ${operator}`);
+            return false;
+    }
+}
+
+/**
+ * Resolve the visitor value and default operator for a condition type
+ */
+function resolveCondition(condition, context) {
+    switch (condition.type) {
+        case 'referrer':
+            return { actual: context.referrer, operator: 'contains' };
+        case 'utm_source':
+        case 'utm_medium':
+        case 'utm_campaign':
+        case 'utm_term':
+        case 'utm_content':
+            return { actual: context.utm[condition.type.slice(4)], operator: 'equals' };
+        case 'visitor':
+            return { actual: context.isReturning ? 'returning' : 'new', operator: 'equals' };
+        case 'page_views':
+            return { actual: context.pageViews, operator: 'gte' };
+        case 'sessions':
+            return { actual: context.sessions, operator: 'gte' };
+        case 'device':
+            return { actual: context.device, operator: 'equals' };
+        case 'attribute':
+            return { actual: context.attributes?.[condition.key], operator: 'equals' };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Evaluate a single condition or a nested group
+ */
+function matchesCondition(condition, context) {
+    if (Array.isArray(condition.conditions)) {
+        return matchesAudience(condition, context);
+    }
+
+    const resolved = resolveCondition(condition, context);
+    if (!resolved) {
+        console.warn(`[Toggleup] Unknown targeting condition: ${condition.type}`);
+        return false;
+    }
+
+    return compareValues(resolved.actual, condition.operator || resolved.operator, condition.value);
+}
+
+/**
+ * Check if the visitor matches an audience condition group
+ *
+ * @param {Object} group - rules.targeting.audience
+ * @param {string} group.operator - "and" (default) | "or"
+ * @param {Array} group.conditions - Conditions or nested groups, e.g.
+ *   { type: 'utm_medium', value: 'cpc' }
+ *   { type: 'visitor', value: 'returning' }
+ *   { type: 'page_views', operator: 'gte', value: 3 }
+ *   { type: 'attribute', key: 'plan', value: 'pro' }
+ * @param {Object} context - Visitor context from getVisitorContext()
+ * @returns {boolean}
+ */
+export function matchesAudience(group, context) {
+    if (!group || !Array.isArray(group.conditions) || group.conditions.length === 0) {
+        return true; // No conditions = everyone
+    }
+
+    return group.operator === 'or'
+        ? group.conditions.some(condition => matchesCondition(condition, context))
+        : group.conditions.every(condition => matchesCondition(condition, context));
+}
+
+/**
+ * Check custom visitor attribute conditions
+ *
+ * @param {Array|Object} rules - rules.targeting.attributes: a list of
+ *   { key, operator, value } (all must match) or an AND/OR group
+ * @param {Object} context - Visitor context from getVisitorContext()
+ * @returns {boolean}
+ */
+export function matchesAttributes(rules, context) {
+    if (!rules) return true;
+
+    const group = Array.isArray(rules) ? { operator: 'and', conditions: rules } : rules;
+
+    const toAttributeCondition = (condition) => (
+        Array.isArray(condition.conditions)
+            ? { ...condition, conditions: condition.conditions.map(toAttributeCondition) }
+            : { type: 'attribute', ...condition }
+    );
+
+    return matchesAudience(toAttributeCondition(group), context);
+}
@@ -5,16 +5,30 @@
  * popup configurations from the API.
  */
 
+import { on } from './events.js';
+import { compareValues } from './targeting.js';
+import { getVisitorContext, getTimeOnSite } from './visitor.js';
+
 /**
  * Setup a trigger and return a cleanup function
  * 
  * @param {Object} triggerConfig - The trigger configuration
- * @param {string} triggerConfig.type - Trigger type: "immediate" | "time_delay" | "scroll_percent" | "exit_intent"
- * @param {number} triggerConfig.value - Value for the trigger (seconds for delay, percentage for scroll)
+ * @param {string} triggerConfig.type - Trigger type: "immediate" | "time_delay" | "scroll_percent" | "exit_intent" | "inactivity" |
+ *                                      "element_visible" | "element_click" | "custom_event" | "page_views" | "time_on_site"
+ * @param {number} triggerConfig.value - Value for the trigger (seconds for delay/inactivity/time on site,
+ *                                       percentage for scroll, count for page views)
+ * @param {string} triggerConfig.selector - CSS selector for element triggers
+ * @param {string} triggerConfig.event - Event name for custom_event triggers
+ * @param {string} triggerConfig.operator - For composite triggers: "and" | "or"
+ * @param {Array} triggerConfig.triggers - For composite triggers: child trigger configs (may nest)
  * @param {Function} onTrigger - Callback when trigger fires
  * @returns {Function} Cleanup function to cancel the trigger
  */
 export function setupTrigger(triggerConfig, onTrigger) {
+    if (Array.isArray(triggerConfig.triggers)) {
+        return setupCompositeTrigger(triggerConfig, onTrigger);
+    }
+
     const { type, value } = triggerConfig;
 
     switch (type) {
@@ -28,7 +42,25 @@ export function setupTrigger(triggerConfig, onTrigger) {
             return setupScrollTrigger(value, onTrigger);
 
         case 'exit_intent':
-            return setupExitIntentTrigger(onTrigger);
+            return setupExitIntentTrigger(onTrigger, triggerConfig.mobile);
+
+        case 'inactivity':
+            return setupInactivityTrigger(value, onTrigger);
+
+        case 'element_visible':
+            return setupElementVisibleTrigger(triggerConfig, onTrigger);
+
+        case 'element_click':
+            return setupElementClickTrigger(triggerConfig, onTrigger);
+
+        case 'custom_event':
+            return setupCustomEventTrigger(triggerConfig, onTrigger);
+
+        case 'page_views':
+            return setupPageViewsTrigger(value, onTrigger);
+
+        case 'time_on_site':
+            return setupTimeOnSiteTrigger(value, onTrigger);
 
         default:
             console.warn(`[Pop-ups.dev] Unknown trigger type: ${type}`);
@@ -36,6 +68,46 @@ export function setupTrigger(triggerConfig, onTrigger) {
     }
 }
 
+/**
+ * Composite trigger - combines child triggers with AND/OR logic
+ * 
+ * e.g. { operator: 'and', triggers: [{ type: 'scroll_percent', value: 50 }, { type: 'time_delay', value: 20 }] }
+ * 
+ * Each child latches once it fires. The composite fires once when the
+ * condition is met and tears down every child's listeners.
+ */
+function setupCompositeTrigger({ operator = 'and', triggers }, onTrigger) {
+    const satisfied = triggers.map(() => false);
+    let hasTriggered = false;
+    let cleanups = [];
+
+    const cleanup = () => {
+        cleanups.forEach(fn => fn());
+        cleanups = [];
+    };
+
+    const checkCondition = () => {
+        if (hasTriggered) return;
+
+        const isMet = operator === 'or' ? satisfied.some(Boolean) : satisfied.every(Boolean);
+        if (!isMet) return;
+
+        hasTriggered = true;
+        cleanup();
+        onTrigger();
+    };
+
+    cleanups = triggers.map((child, index) => setupTrigger(child, () => {
+        satisfied[index] = true;
+        checkCondition();
+    }));
+
+    // A child may fire synchronously during setup (e.g. page already scrolled)
+    if (hasTriggered) cleanup();
+
+    return cleanup;
+}
+
 /**
  * Immediate trigger - fires right away
  */
@@ -59,6 +131,44 @@ function setupDelayTrigger(seconds, onTrigger) {
     return () => clearTimeout(timeoutId);
 }
 
+/**
+ * Page views trigger - fires on the Nth page view of the session (or later)
+ * 
+ * Page views are counted across page loads and SPA navigations; the SDK
+ * re-evaluates popups after each navigation, so this re-checks every page.
+ */
+function setupPageViewsTrigger(count, onTrigger) {
+    if (getVisitorContext().pageViews >= count) {
+        return setupImmediateTrigger(onTrigger);
+    }
+
+    return () => {};
+}
+
+/**
+ * Time on site trigger - fires after N seconds on the site this session
+ * 
+ * Unlike time_delay, time carries over page loads and SPA navigations.
+ * Only visible time counts, so the timer re-checks before firing.
+ */
+function setupTimeOnSiteTrigger(seconds, onTrigger) {
+    const target = seconds * 1000;
+    let timeoutId = null;
+
+    const check = () => {
+        const remaining = target - getTimeOnSite();
+        if (remaining <= 0) {
+            onTrigger();
+            return;
+        }
+        timeoutId = setTimeout(check, remaining);
+    };
+
+    check();
+
+    return () => clearTimeout(timeoutId);
+}
+
 /**
  * Scroll percentage trigger - fires when user scrolls past N%
  */
@@ -90,12 +200,24 @@ function setupScrollTrigger(percentage, onTrigger) {
 }
 
 /**
- * Exit intent trigger - fires when mouse leaves the viewport (desktop only)
+ * Exit intent trigger - fires when the visitor seems about to leave
+ * 
+ * Desktop: the cursor leaves the viewport through the top, towards the
+ * browser chrome (tabs, address bar, close button).
  * 
- * This detects when the user moves their cursor towards the browser chrome
- * (tabs, address bar, close button), suggesting they might leave the page.
+ * Touch devices have no cursor, so mobile signals are used instead,
+ * each configurable via triggerConfig.mobile:
+ * - scrollUp (default true): fast upward scroll after reading past scrollDepth %
+ * - visibility (default true): the visitor switches tab or app
+ * - backButton (default false, opt-in): back button, via a history sentinel entry
  */
-function setupExitIntentTrigger(onTrigger) {
+function setupExitIntentTrigger(onTrigger, mobileConfig = {}) {
+    const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+
+    if (isTouchDevice) {
+        return setupMobileExitIntent(onTrigger, mobileConfig || {});
+    }
+
     let hasTriggered = false;
 
     const handleMouseLeave = (e) => {
@@ -110,12 +232,368 @@ function setupExitIntentTrigger(onTrigger) {
         }
     };
 
-    // Exit intent only works on desktop - check for touch devices
-    const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+    document.addEventListener('mouseleave', handleMouseLeave);
+
+    return () => document.removeEventListener('mouseleave', handleMouseLeave);
+}
+
+/**
+ * Mobile exit intent - combines the enabled mobile signals, fires once
+ */
+function setupMobileExitIntent(onTrigger, options) {
+    const {
+        scrollUp = true,
+        visibility = true,
+        backButton = false,
+        scrollDepth = 30,       // % of the page read before scroll-up counts
+        scrollVelocity = 1.5    // px/ms of upward scroll
+    } = options;
+
+    const cleanups = [];
+    let hasTriggered = false;
 
-    if (!isTouchDevice) {
-        document.addEventListener('mouseleave', handleMouseLeave);
+    const cleanup = () => {
+        cleanups.forEach(fn => fn());
+        cleanups.length = 0;
+    };
+
+    const fire = () => {
+        if (hasTriggered) return;
+        hasTriggered = true;
+        cleanup();
+        onTrigger();
+    };
+
+    if (scrollUp) {
+        cleanups.push(setupFastScrollUp(scrollDepth, scrollVelocity, fire));
     }
 
-    return () => document.removeEventListener('mouseleave', handleMouseLeave);
+    if (visibility) {
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') fire();
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        cleanups.push(() => document.removeEventListener('visibilitychange', handleVisibilityChange));
+    }
+
+    if (backButton) {
+        cleanups.push(addBackButtonListener(fire));
+    }
+
+    return cleanup;
+}
+
+/**
+ * Fast upward scroll after the visitor has read past a depth
+ * Velocity is sampled over ~100ms windows to smooth out scroll events
+ */
+function setupFastScrollUp(depthPercent, velocityThreshold, onTrigger) {
+    let maxDepth = 0;
+    let sample = { y: window.scrollY, time: Date.now() };
+
+    const handleScroll = () => {
+        const y = window.scrollY;
+        const now = Date.now();
+
+        const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
+        const depth = scrollHeight > 0 ? (y / scrollHeight) * 100 : 0;
+        maxDepth = Math.max(maxDepth, depth);
+
+        const elapsed = now - sample.time;
+        if (elapsed < 100) return;
+
+        const velocity = (sample.y - y) / elapsed; // positive = scrolling up
+        sample = { y, time: now };
+
+        if (maxDepth >= depthPercent && velocity >= velocityThreshold) {
+            onTrigger();
+        }
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+
+    return () => window.removeEventListener('scroll', handleScroll);
+}
+
+// ============================================
+// Back button sentinel (shared by all popups)
+// ============================================
+
+const SENTINEL_KEY = '__toggleupExitSentinel';
+const backButtonListeners = new Set();
+
+// Token and URL of the sentinel entry this page pushed (or adopted)
+let sentinelToken = null;
+let sentinelUrl = null;
+
+/**
+ * Check if the current history entry is still our sentinel, untouched:
+ * a host replaceState() may keep the marker but change the URL
+ */
+function isOnSentinel() {
+    return Boolean(history.state && history.state[SENTINEL_KEY] === sentinelToken && window.location.href === sentinelUrl);
+}
+
+/**
+ * Fires when the sentinel entry is popped, i.e. the visitor pressed back
+ * to the entry below it (same URL, no marker). Other pops, such as
+ * fragment navigations (#section), change the URL and are ignored.
+ */
+function handleSentinelPop() {
+    if (history.state && history.state[SENTINEL_KEY]) return;
+    if (window.location.href !== sentinelUrl) return;
+
+    const listeners = Array.from(backButtonListeners);
+    backButtonListeners.clear();
+    window.removeEventListener('popstate', handleSentinelPop);
+
+    listeners.forEach(listener => listener());
+}
+
+/**
+ * Listen for the back button via a history sentinel entry
+ * 
+ * One sentinel (same URL, same state plus a marker) is pushed per page,
+ * however many popups listen. The push goes through the SDK's patched
+ * pushState, whose navigation handler ignores it since the URL is unchanged.
+ * 
+ * @returns {Function} Cleanup - removes the sentinel if it is still current
+ */
+function addBackButtonListener(onBack) {
+    try {
+        if (backButtonListeners.size === 0) {
+            if (history.state && history.state[SENTINEL_KEY]) {
+                // Reload: the sentinel pushed before is still current
+                sentinelToken = history.state[SENTINEL_KEY];
+            } else {
+                sentinelToken = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+                history.pushState({ ...(history.state || {}), [SENTINEL_KEY]: sentinelToken }, '');
+            }
+            sentinelUrl = window.location.href;
+            window.addEventListener('popstate', handleSentinelPop);
+        }
+        backButtonListeners.add(onBack);
+    } catch (e) {
+        console.warn('[Toggleup] Back button exit intent unavailable:', e.message);
+        return () => {};
+    }
+
+    return () => {
+        if (!backButtonListeners.delete(onBack) || backButtonListeners.size > 0) return;
+
+        window.removeEventListener('popstate', handleSentinelPop);
+
+        // Drop our entry so the visitor's next back press isn't swallowed.
+        // If the page navigated on top of it or changed its URL, it's left
+        // in place (history entries can't be removed).
+        if (isOnSentinel()) {
+            history.back();
+        }
+    };
+}
+
+/**
+ * Inactivity trigger - fires after N seconds without user activity
+ * 
+ * Any mouse, key, scroll or touch activity restarts the countdown.
+ * The countdown is paused while the tab is hidden (a backgrounded tab
+ * is not a visitor stalling on the page) and resumes with the time that
+ * was left when the tab is visible again.
+ */
+function setupInactivityTrigger(seconds, onTrigger) {
+    const activityEvents = ['mousemove', 'mousedown', 'keydown', 'scroll', 'wheel', 'touchstart'];
+    let timeoutId = null;
+    let deadline = null;
+    // Time left when the tab was hidden, null while running
+    let remaining = null;
+
+    const runTimer = (ms) => {
+        clearTimeout(timeoutId);
+        deadline = Date.now() + ms;
+        timeoutId = setTimeout(handleInactive, ms);
+    };
+
+    const startTimer = () => {
+        if (document.visibilityState === 'hidden') {
+            remaining = seconds * 1000;
+            return;
+        }
+        remaining = null;
+        runTimer(seconds * 1000);
+    };
+
+    const handleVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') {
+            if (remaining !== null) return;
+            clearTimeout(timeoutId);
+            remaining = Math.max(0, deadline - Date.now());
+        } else if (remaining !== null) {
+            const ms = remaining;
+            remaining = null;
+            runTimer(ms);
+        }
+    };
+
+    const cleanup = () => {
+        clearTimeout(timeoutId);
+        activityEvents.forEach(event => window.removeEventListener(event, startTimer, true));
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+
+    function handleInactive() {
+        cleanup();
+        onTrigger();
+    }
+
+    activityEvents.forEach(event => window.addEventListener(event, startTimer, { capture: true, passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    startTimer();
+
+    return cleanup;
+}
+
+/**
+ * Element visible trigger - fires when an element matching the selector
+ * scrolls into view (e.g. a pricing table)
+ * 
+ * Elements added later (SPA renders) are picked up by a MutationObserver.
+ * 
+ * @param {Object} config - { selector, threshold } (threshold: 0-1 visible ratio)
+ */
+function setupElementVisibleTrigger({ selector, value, threshold = 0 }, onTrigger) {
+    const targetSelector = selector || value;
+
+    if (!targetSelector || typeof IntersectionObserver === 'undefined') {
+        console.warn('[Toggleup] element_visible trigger needs a selector and IntersectionObserver');
+        return () => {};
+    }
+
+    const observed = new WeakSet();
+    let mutationObserver = null;
+
+    const intersectionObserver = new IntersectionObserver((entries) => {
+        const isVisible = entries.some(entry => entry.isIntersecting && entry.intersectionRatio >= threshold);
+        if (isVisible) {
+            cleanup();
+            onTrigger();
+        }
+    }, { threshold });
+
+    // Returns false for an invalid selector (observers are torn down)
+    const observeMatches = () => {
+        try {
+            document.querySelectorAll(targetSelector).forEach((el) => {
+                if (observed.has(el)) return;
+                observed.add(el);
+                intersectionObserver.observe(el);
+            });
+            return true;
+        } catch (e) {
+            console.warn(`[Toggleup] Invalid selector "${targetSelector}":`, e.message);
+            cleanup();
+            return false;
+        }
+    };
+
+    const cleanup = () => {
+        intersectionObserver.disconnect();
+        if (mutationObserver) mutationObserver.disconnect();
+    };
+
+    if (!observeMatches()) return cleanup;
+
+    mutationObserver = new MutationObserver(observeMatches);
+    mutationObserver.observe(document.body, { childList: true, subtree: true });
+
+    return cleanup;
+}
+
+/**
+ * Element click trigger - fires when an element matching the selector is
+ * clicked (e.g. a "Download brochure" link)
+ * 
+ * Uses a delegated listener on document, so elements rendered later
+ * (SPA) match without re-binding.
+ * 
+ * @param {Object} config - { selector, preventDefault }
+ *   preventDefault: true stops the element's own action (e.g. navigation)
+ */
+function setupElementClickTrigger({ selector, value, preventDefault = false }, onTrigger) {
+    const targetSelector = selector || value;
+
+    if (!targetSelector) {
+        console.warn('[Toggleup] element_click trigger needs a selector');
+        return () => {};
+    }
+
+    const handleClick = (e) => {
+        // composedPath also reaches elements inside open shadow roots
+        const path = e.composedPath ? e.composedPath() : [e.target];
+
+        let isMatch = false;
+        try {
+            isMatch = path.some(node => node.nodeType === 1 && node.matches(targetSelector));
+        } catch (err) {
+            console.warn(`[Toggleup] Invalid selector "${targetSelector}":`, err.message);
+            document.removeEventListener('click', handleClick, true);
+            return;
+        }
+
+        if (!isMatch) return;
+
+        if (preventDefault) e.preventDefault();
+        document.removeEventListener('click', handleClick, true);
+        onTrigger();
+    };
+
+    document.addEventListener('click', handleClick, true);
+
+    return () => document.removeEventListener('click', handleClick, true);
+}
+
+/**
+ * Custom event trigger - fires when the host reports a named event
+ * 
+ * Events come from ToggleupSDK.track(name, properties) or from a window
+ * CustomEvent with that name (properties in event.detail).
+ * 
+ * @param {Object} config - { event, conditions }
+ *   conditions: [{ property, operator, value }] - all must match, e.g.
+ *   { property: 'value', operator: 'gt', value: 100 }
+ */
+function setupCustomEventTrigger({ event, value, conditions = [] }, onTrigger) {
+    const eventName = event || value;
+
+    if (!eventName) {
+        console.warn('[Toggleup] custom_event trigger needs an event name');
+        return () => {};
+    }
+
+    let unsubscribe = null;
+
+    const matches = (properties = {}) => conditions.every(condition => (
+        compareValues(properties?.[condition.property], condition.operator || 'equals', condition.value)
+    ));
+
+    const cleanup = () => {
+        if (unsubscribe) unsubscribe();
+        window.removeEventListener(eventName, handleWindowEvent);
+    };
+
+    const fire = (properties) => {
+        if (!matches(properties)) return;
+        cleanup();
+        onTrigger();
+    };
+
+    function handleWindowEvent(e) {
+        fire(e.detail);
+    }
+
+    unsubscribe = on('track', (detail) => {
+        if (detail.event === eventName) fire(detail.properties);
+    });
+    window.addEventListener(eventName, handleWindowEvent);
+
+    return cleanup;
 }
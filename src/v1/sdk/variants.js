@@ -0,0 +1,73 @@
+/**
+ * A/B Testing - Picks a sticky variant per visitor
+ *
+ * A popup config may carry variants[]:
+ *   [{ id: 'a', weight: 50, design: { ... } }, { id: 'b', weight: 50, design: { ... } }]
+ *
+ * Each variant is a partial design override merged over the base config.
+ * Assignment is deterministic (hash of visitor id + popup id) and is
+ * also persisted, so it survives weight changes in the dashboard.
+ */
+
+import { deepMerge } from '../engine/defaults.js';
+import { getVisitorId, getAssignedVariant, saveAssignedVariant } from './frequency.js';
+
+/**
+ * FNV-1a hash mapped to [0, 1)
+ */
+function hashToUnit(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 4294967296;
+}
+
+/**
+ * Pick a variant by weight for this visitor
+ */
+function pickVariant(popupId, variants) {
+    const totalWeight = variants.reduce((sum, v) => sum + Math.max(0, v.weight ?? 1), 0);
+    if (totalWeight <= 0) return variants[0];
+
+    let point = hashToUnit(`${getVisitorId()}:${popupId}`) * totalWeight;
+
+    for (const variant of variants) {
+        point -= Math.max(0, variant.weight ?? 1);
+        if (point < 0) return variant;
+    }
+
+    return variants[variants.length - 1];
+}
+
+/**
+ * Resolve the visitor's variant and merge its override into the config
+ *
+ * @param {Object} config - Popup configuration
+ * @returns {Object} Config with the variant applied and variantId set,
+ *                   or the original config if it has no variants
+ */
+export function applyVariant(config) {
+    const variants = config.variants;
+    if (!Array.isArray(variants) || variants.length === 0 || config.variantId) {
+        return config;
+    }
+
+    const assignedId = getAssignedVariant(config.id);
+    let variant = variants.find(v => v.id === assignedId);
+
+    if (!variant) {
+        variant = pickVariant(config.id, variants);
+        saveAssignedVariant(config.id, variant.id);
+    }
+
+    const override = variant.design || {};
+
+    // Support both legacy format (design object) and new format (flat config)
+    const merged = config.design
+        ? { ...config, design: deepMerge(config.design, override) }
+        : deepMerge(config, override);
+
+    return { ...merged, variantId: variant.id };
+}
@@ -0,0 +1,226 @@
+/**
+ * Visitor Context - What the SDK knows about the current visit
+ *
+ * Captured on landing and kept for the session (session store):
+ * referrer, UTM parameters, page views and time on site (only while the
+ * tab is visible, accumulated across page loads). The number of sessions is
+ * kept across visits (persistent store) to tell new from returning visitors.
+ *
+ * Host sites can add what the SDK cannot see (plan, cart value, language)
+ * via ToggleupSDK.identify/setAttributes; these also live for the session.
+ */
+
+import { STORAGE_PREFIX, getPersistentStore, getSessionStore } from './storage.js';
+import { getDeviceType } from './device.js';
+
+const SESSION_KEY = `${STORAGE_PREFIX}visit`;
+const SESSION_COUNT_KEY = `${STORAGE_PREFIX}sessions`;
+const ATTRIBUTES_KEY = `${STORAGE_PREFIX}attributes`;
+
+const UTM_PARAMS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+/**
+ * Extract the domain from a referrer URL ("" for direct traffic)
+ */
+function getReferrerDomain(referrer) {
+    if (!referrer) return '';
+    try {
+        return new URL(referrer).hostname.replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Read UTM parameters from the landing URL
+ */
+function getUtmParams() {
+    const params = new URLSearchParams(window.location.search);
+    const utm = {};
+    UTM_PARAMS.forEach((name) => {
+        const value = params.get(`utm_${name}`);
+        if (value) utm[name] = value;
+    });
+    return utm;
+}
+
+function readVisit() {
+    try {
+        const raw = getSessionStore().getItem(SESSION_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch {
+        return null; // Corrupted - start a new session
+    }
+}
+
+function writeVisit(visit) {
+    getSessionStore().setItem(SESSION_KEY, JSON.stringify(visit));
+}
+
+/**
+ * Start a new session: capture landing data and count the session
+ */
+function startSession() {
+    const store = getPersistentStore();
+    const sessions = (parseInt(store.getItem(SESSION_COUNT_KEY), 10) || 0) + 1;
+    store.setItem(SESSION_COUNT_KEY, sessions.toString());
+
+    return {
+        startedAt: Date.now(),
+        referrer: getReferrerDomain(document.referrer),
+        utm: getUtmParams(),
+        pageViews: 0,
+        timeOnSite: 0,
+        sessions
+    };
+}
+
+/**
+ * Get the current session, starting one if needed
+ */
+function getVisit() {
+    let visit = readVisit();
+    if (!visit) {
+        visit = startSession();
+        writeVisit(visit);
+    }
+    return visit;
+}
+
+/**
+ * Record a page view (call on page load and on SPA navigation)
+ */
+export function recordPageView() {
+    const visit = getVisit();
+    visit.pageViews += 1;
+    writeVisit(visit);
+
+    startTimeTracking();
+}
+
+// ============================================
+// Time on site (visible time, across pages)
+// ============================================
+
+// When this page last became visible (null while hidden)
+let visibleSince = null;
+let isTrackingTime = false;
+
+/**
+ * Add the visible time of this page to the session total
+ */
+function flushTimeOnSite() {
+    if (visibleSince === null) return;
+
+    const visit = getVisit();
+    visit.timeOnSite = (visit.timeOnSite || 0) + (Date.now() - visibleSince);
+    writeVisit(visit);
+
+    visibleSince = null;
+}
+
+function startTimeTracking() {
+    if (isTrackingTime) return;
+    isTrackingTime = true;
+
+    visibleSince = document.visibilityState === 'hidden' ? null : Date.now();
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flushTimeOnSite();
+        } else if (visibleSince === null) {
+            visibleSince = Date.now();
+        }
+    });
+    window.addEventListener('pagehide', flushTimeOnSite);
+}
+
+/**
+ * Get the visible time spent on the site this session
+ * @returns {number} Milliseconds
+ */
+export function getTimeOnSite() {
+    const stored = getVisit().timeOnSite || 0;
+    return visibleSince === null ? stored : stored + (Date.now() - visibleSince);
+}
+
+// ============================================
+// Last popup shown (global cooldown)
+// ============================================
+
+/**
+ * Get when any popup was last shown this session
+ * @returns {number|null} Timestamp
+ */
+export function getLastPopupShownAt() {
+    return getVisit().lastPopupShownAt || null;
+}
+
+/**
+ * Record that a popup was shown now
+ */
+export function markPopupShownAt() {
+    const visit = getVisit();
+    visit.lastPopupShownAt = Date.now();
+    writeVisit(visit);
+}
+
+/**
+ * Get the current visitor context used by audience targeting
+ *
+ * @returns {{ referrer: string, utm: Object, pageViews: number, sessions: number, isReturning: boolean, device: string }}
+ */
+export function getVisitorContext() {
+    const visit = getVisit();
+
+    return {
+        referrer: visit.referrer,
+        utm: visit.utm || {},
+        pageViews: visit.pageViews,
+        sessions: visit.sessions,
+        isReturning: visit.sessions > 1,
+        device: getDeviceType(),
+        attributes: getAttributes()
+    };
+}
+
+// ============================================
+// Custom visitor attributes
+// ============================================
+
+/**
+ * Get custom attributes set by the host site
+ * Includes userId when the visitor was identified
+ * @returns {Object}
+ */
+export function getAttributes() {
+    try {
+        const raw = getSessionStore().getItem(ATTRIBUTES_KEY);
+        return raw ? JSON.parse(raw) : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Merge custom attributes into the session
+ * A null value removes the attribute
+ *
+ * @param {Object} attributes - e.g. { plan: 'pro', cartValue: 120 }
+ * @returns {Object} The resulting attributes
+ */
+export function setAttributes(attributes = {}) {
+    const merged = { ...getAttributes() };
+
+    Object.keys(attributes).forEach((key) => {
+        if (attributes[key] === null || attributes[key] === undefined) {
+            delete merged[key];
+        } else {
+            merged[key] = attributes[key];
+        }
+    });
+
+    getSessionStore().setItem(ATTRIBUTES_KEY, JSON.stringify(merged));
+
+    return merged;
+}
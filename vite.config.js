@@ -2,12 +2,36 @@ import { defineConfig } from 'vite';
 import preact from '@preact/preset-vite';
 import { resolve } from 'path';
 
+/**
+ * Mock API endpoints for local testing.
+ * Logs analytics batches and form submissions to the terminal.
+ *
+ * Usage in a dev page:
+ * ToggleupSDK.configure({ analyticsEndpoint: '/__mock/events' });
+ */
+function mockApi() {
+    return {
+        name: 'toggleup-mock-api',
+        configureServer(server) {
+            server.middlewares.use('/__mock', (req, res) => {
+                let body = '';
+                req.on('data', (chunk) => { body += chunk; });
+                req.on('end', () => {
+                    console.log(`[mock] ${req.method} ${req.url}`, body);
+                    res.statusCode = req.method === 'POST' ? 204 : 404;
+                    res.end();
+                });
+            });
+        }
+    };
+}
+
 /**
  * Vite configuration for local development.
  * Serves the dev/index.html test page with HMR.
  */
 export default defineConfig({
-    plugins: [preact()],
+    plugins: [preact(), mockApi()],
 
     root: 'dev',
 